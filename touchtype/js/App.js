@@ -6,13 +6,58 @@ import { eventBus, Events } from './core/EventEmitter.js';
 import { appState, defaultState } from './core/State.js';
 import { storageManager } from './managers/StorageManager.js';
 import { audioManager } from './managers/AudioManager.js';
-import { cameraManager } from './managers/CameraManager.js';
+import { trackingManager, TrackerType } from './managers/TrackingManager.js';
+import { HeadCalibrationStep } from './managers/CameraManager.js';
 import { penaltyManager } from './managers/PenaltyManager.js';
+import { glanceLogManager } from './managers/GlanceLogManager.js';
+import { keyStatsManager } from './managers/KeyStatsManager.js';
+import { curriculumManager, LESSON_MODE } from './managers/CurriculumManager.js';
+import { layoutManager } from './managers/LayoutManager.js';
+import { replayManager } from './managers/ReplayManager.js';
+import { exportManager, ImportMode } from './managers/ExportManager.js';
+import { profileManager, GUEST_PROFILE_ID } from './managers/ProfileManager.js';
+import { textLibraryManager, LIBRARY_MODE } from './managers/TextLibraryManager.js';
 import { typingEngine } from './components/TypingEngine.js';
 import { Keyboard } from './components/Keyboard.js';
 import { TextDisplay } from './components/TextDisplay.js';
 import { AchievementSystem } from './components/AchievementSystem.js';
+import { ReplayPlayer } from './components/ReplayPlayer.js';
+import { Dashboard } from './components/Dashboard.js';
+import { ResultsPanel } from './components/ResultsPanel.js';
 import { textGenerator } from './utils/TextGenerator.js';
+import { scoreCalculator } from './utils/ScoreCalculator.js';
+import { textNormalizer } from './utils/TextNormalizer.js';
+import { escapeHtml } from './utils/html.js';
+
+// Rendering window for streamed exercises (characters)
+const STREAM_WINDOW = { size: 240, step: 60 };
+
+// How long results stay up before the next text when auto-advance is on (ms)
+const AUTO_ADVANCE_DELAY = 5000;
+
+// Mode of the missed-words drill started from the results screen
+const DRILL_MODE = 'drill';
+
+// Camera card message before tracking starts, per tracker
+const TRACKER_PROMPTS = {
+  [TrackerType.HEAD]: 'Enable camera to track<br>if you\'re looking down',
+  [TrackerType.GAZE]: 'Enable camera to follow<br>where your eyes look',
+  [TrackerType.HYBRID]: 'Enable camera to follow<br>your head and eyes',
+  [TrackerType.OFF]: 'Look-down tracking is off<br>Choose a tracker in Settings'
+};
+
+// Unit of CAMERA_PITCH_UPDATE pitch, per tracker
+const PITCH_UNITS = {
+  [TrackerType.HEAD]: '°',
+  [TrackerType.GAZE]: '%'
+};
+
+// Profile menu entries that are actions rather than profiles
+const ProfileAction = {
+  CREATE: 'action:create',
+  RENAME: 'action:rename',
+  DELETE: 'action:delete'
+};
 
 export class App {
   constructor() {
@@ -20,24 +65,123 @@ export class App {
     this.keyboard = null;
     this.textDisplay = null;
     this.achievementSystem = null;
+    this.replayPlayer = null;
+    this.dashboard = null;
+    this.resultsPanel = null;
+
+    // Text of the last finished exercise, for retrying it
+    this._lastText = null;
+    this._advanceTimer = null;
+
+    // Words of the running drill, and the mode to go back to after it
+    this._drillWords = [];
+    this._returnMode = null;
+
+    // Shift key currently held ('ShiftLeft'/'ShiftRight'), for technique checks
+    this._heldShift = null;
     
     // DOM element references
     this.elements = {};
     
     // Modes configuration
+    // `text` picks the TextGenerator bucket when it differs from the id;
+    // `timeLimit` (seconds) turns a mode into a timed test, `wordLimit`
+    // into a word-count test and `endless` runs until the user stops;
+    // `adaptive` builds each text from the user's weakest keys and
+    // `lesson` from the keys of the current curriculum lesson; `library`
+    // types the user's own texts part by part. `transient`
+    // modes are not in the selector - they are started from the results
+    // screen and hand back to the mode they came from when done
     this.modes = [
       { id: 'standard', name: 'Standard' },
       { id: 'blind', name: 'Blind Mode' },
-      { id: 'burst', name: 'Burst (30s)' },
+      { id: 'burst', name: 'Burst (30s)', timeLimit: 30 },
       { id: 'words', name: 'Common Words' },
-      { id: 'code', name: 'Code Mode' }
+      { id: 'code', name: 'Code Mode' },
+      { id: 'zen', name: 'Zen', text: 'standard', endless: true },
+      { id: 'adaptive', name: 'Adaptive', adaptive: true, wordCount: 25 },
+      { id: LESSON_MODE, name: 'Lessons', lesson: true },
+      { id: LIBRARY_MODE, name: 'My Texts', library: true },
+      { id: DRILL_MODE, name: 'Missed Words', drill: true, transient: true },
+      { id: 'timed-15', name: '15s', group: 'timed', text: 'words', timeLimit: 15 },
+      { id: 'timed-60', name: '1 Minute', group: 'timed', text: 'standard', timeLimit: 60 },
+      { id: 'timed-120', name: '2 Minutes', group: 'timed', text: 'standard', timeLimit: 120 },
+      { id: 'timed-300', name: '5 Minutes', group: 'timed', text: 'standard', timeLimit: 300 },
+      { id: 'timed-custom', name: 'Custom', group: 'timed', text: 'standard', customTime: true },
+      { id: 'words-25', name: '25 Words', group: 'count', text: 'words', wordLimit: 25 },
+      { id: 'words-50', name: '50 Words', group: 'count', text: 'words', wordLimit: 50 },
+      { id: 'words-100', name: '100 Words', group: 'count', text: 'words', wordLimit: 100 }
+    ];
+
+    // Mode selector groups
+    this.modeGroups = [
+      { id: 'practice', name: 'Practice' },
+      { id: 'timed', name: 'Timed Tests' },
+      { id: 'count', name: 'Word Count' }
     ];
 
     // Settings configuration
     this.settingsConfig = [
       { id: 'soundEnabled', label: 'Sound Effects', default: true },
       { id: 'flashEnabled', label: 'Penalty Screen Flash', default: true },
-      { id: 'keyboardVisible', label: 'Show Keyboard', default: true }
+      { id: 'keyboardVisible', label: 'Show Keyboard', default: true },
+      {
+        id: 'keyboardLayout',
+        label: 'Keyboard Layout',
+        default: 'us',
+        // Includes imported layouts, so built when rendered
+        options: () => layoutManager.getLayouts().map(({ id, name }) => ({ value: id, label: name }))
+      },
+      { id: 'importLayout', label: 'Custom Layout', action: 'Import…' },
+      { id: 'exportData', label: 'Backup All Data', action: 'Export JSON' },
+      { id: 'exportHistory', label: 'Session History', action: 'Export CSV' },
+      { id: 'importData', label: 'Restore Backup', action: 'Import…' },
+      { id: 'textLibrary', label: 'Text Library', action: 'Manage…' },
+      {
+        id: 'tracker',
+        label: 'Look-down Tracker',
+        default: TrackerType.HEAD,
+        options: [
+          { value: TrackerType.HEAD, label: 'Head pose' },
+          { value: TrackerType.GAZE, label: 'Eye gaze' },
+          { value: TrackerType.HYBRID, label: 'Head pose + eye gaze' },
+          { value: TrackerType.OFF, label: 'Off' }
+        ]
+      },
+      { id: 'calibrateTracker', label: 'Tracker Calibration', action: 'Calibrate…' },
+      {
+        id: 'correctionPolicy',
+        label: 'Corrections',
+        default: 'free',
+        options: [
+          { value: 'free', label: 'Free' },
+          { value: 'word', label: 'Current word only' },
+          { value: 'none', label: 'No backspace' },
+          { value: 'stop', label: 'Stop on error' }
+        ]
+      },
+      {
+        id: 'pastePolicy',
+        label: 'Pasted Text',
+        default: 'reject',
+        options: [
+          { value: 'reject', label: 'Reject' },
+          { value: 'flag', label: 'Flag (no XP)' }
+        ]
+      },
+      { id: 'autoAdvance', label: 'Auto-advance After Results', default: false },
+      { id: 'smartPunctuation', label: 'Plain Quotes and Dashes', default: true },
+      {
+        id: 'accentRule',
+        label: 'Accented Letters',
+        default: 'auto',
+        options: [
+          { value: 'auto', label: 'Keep if on layout' },
+          { value: 'fold', label: 'Always plain (é → e)' },
+          { value: 'keep', label: 'Always keep' }
+        ]
+      },
+      { id: 'lenientMatching', label: 'Plain Keys Match Typographic Characters', default: false }
     ];
   }
 
@@ -45,6 +189,7 @@ export class App {
    * Initialize the application
    */
   async init() {
+    await profileManager.init();
     this._cacheElements();
     this._loadSavedData();
     this._initComponents();
@@ -67,12 +212,31 @@ export class App {
       // Main UI
       textDisplay: document.getElementById('textDisplay'),
       typingInput: document.getElementById('typingInput'),
+      finishBtn: document.getElementById('finishBtn'),
       keyboard: document.getElementById('keyboard'),
       fingerGuide: document.getElementById('fingerGuide'),
       keyboardContainer: document.getElementById('keyboardContainer'),
+      heatmapToggle: document.getElementById('heatmapToggle'),
+      heatmapControls: document.getElementById('heatmapControls'),
+      heatmapMetric: document.getElementById('heatmapMetric'),
+      heatmapRange: document.getElementById('heatmapRange'),
+      heatmapMin: document.getElementById('heatmapMin'),
+      heatmapMax: document.getElementById('heatmapMax'),
       
       // Mode selector
       modeSelector: document.getElementById('modeSelector'),
+      modeBest: document.getElementById('modeBest'),
+      modeHint: document.getElementById('modeHint'),
+      typingCard: document.getElementById('typingCard'),
+      resultsPanel: document.getElementById('resultsPanel'),
+      resultsSummary: document.getElementById('resultsSummary'),
+      resultsSpeedChart: document.getElementById('resultsSpeedChart'),
+      resultsDetails: document.getElementById('resultsDetails'),
+      xpBreakdown: document.getElementById('xpBreakdown'),
+      resultsRetryBtn: document.getElementById('resultsRetryBtn'),
+      resultsNextBtn: document.getElementById('resultsNextBtn'),
+      resultsMissedBtn: document.getElementById('resultsMissedBtn'),
+      timerDisplay: document.getElementById('timerDisplay'),
       
       // Stats
       currentWPM: document.getElementById('currentWPM'),
@@ -82,6 +246,7 @@ export class App {
       totalXP: document.getElementById('totalXP'),
       streak: document.getElementById('streak'),
       bestWPM: document.getElementById('bestWPM'),
+      profileSelect: document.getElementById('profileSelect'),
       
       // Progress
       levelText: document.getElementById('levelText'),
@@ -94,12 +259,18 @@ export class App {
       canvasOutput: document.getElementById('canvasOutput'),
       cameraContainer: document.getElementById('cameraContainer'),
       cameraOverlay: document.getElementById('cameraOverlay'),
+      cameraOverlayText: document.getElementById('cameraOverlayText'),
       enableCameraBtn: document.getElementById('enableCameraBtn'),
       cameraStatus: document.getElementById('cameraStatus'),
       statusText: document.getElementById('statusText'),
       pitchIndicator: document.getElementById('pitchIndicator'),
       pitchBar: document.getElementById('pitchBar'),
       pitchLabel: document.getElementById('pitchLabel'),
+      calibrationOverlay: document.getElementById('calibrationOverlay'),
+      calibrationTitle: document.getElementById('calibrationTitle'),
+      calibrationHint: document.getElementById('calibrationHint'),
+      calibrationDot: document.getElementById('calibrationDot'),
+      calibrationProgress: document.getElementById('calibrationProgress'),
       
       // Penalty
       penaltyOverlay: document.getElementById('penaltyOverlay'),
@@ -107,7 +278,43 @@ export class App {
       
       // Settings & Achievements
       settingsContainer: document.getElementById('settingsContainer'),
-      achievementsGrid: document.getElementById('achievementsGrid')
+      achievementsGrid: document.getElementById('achievementsGrid'),
+      lessonList: document.getElementById('lessonList'),
+
+      // Replays
+      replayList: document.getElementById('replayList'),
+      replayImportBtn: document.getElementById('replayImportBtn'),
+      replayModal: document.getElementById('replayModal'),
+      replayTitle: document.getElementById('replayTitle'),
+      replayCloseBtn: document.getElementById('replayCloseBtn'),
+      replayText: document.getElementById('replayText'),
+      replayKeyboard: document.getElementById('replayKeyboard'),
+      replayPlayBtn: document.getElementById('replayPlayBtn'),
+      replaySpeed: document.getElementById('replaySpeed'),
+      replayScrubber: document.getElementById('replayScrubber'),
+      replayTime: document.getElementById('replayTime'),
+      replayTimeline: document.getElementById('replayTimeline'),
+
+      // Dashboard
+      dashboardBtn: document.getElementById('dashboardBtn'),
+      dashboardModal: document.getElementById('dashboardModal'),
+      dashboardCloseBtn: document.getElementById('dashboardCloseBtn'),
+      dashboardMode: document.getElementById('dashboardMode'),
+      dashboardSummary: document.getElementById('dashboardSummary'),
+      dashboardWpmChart: document.getElementById('dashboardWpmChart'),
+      dashboardAccuracyChart: document.getElementById('dashboardAccuracyChart'),
+      dashboardTimeChart: document.getElementById('dashboardTimeChart'),
+      dashboardGlanceChart: document.getElementById('dashboardGlanceChart'),
+      dashboardGlanceKeysChart: document.getElementById('dashboardGlanceKeysChart'),
+
+      // Text library
+      libraryModal: document.getElementById('libraryModal'),
+      libraryCloseBtn: document.getElementById('libraryCloseBtn'),
+      libraryList: document.getElementById('libraryList'),
+      libraryName: document.getElementById('libraryName'),
+      libraryText: document.getElementById('libraryText'),
+      libraryFileBtn: document.getElementById('libraryFileBtn'),
+      libraryAddBtn: document.getElementById('libraryAddBtn')
     };
   }
 
@@ -125,10 +332,23 @@ export class App {
         'progress.xp': savedProgress.xp || 0,
         'progress.bestWPM': savedProgress.bestWPM || 0,
         'progress.streak': storageManager.updateStreak(),
-        'progress.achievements': savedProgress.achievements || []
+        'progress.achievements': savedProgress.achievements || [],
+        'progress.personalBests': savedProgress.personalBests || {}
       });
     }
 
+    // Load per-key statistics
+    keyStatsManager.init();
+
+    // Load lesson progress
+    curriculumManager.init();
+
+    // Load recorded replays
+    replayManager.init();
+
+    // Load the selected library text
+    textLibraryManager.init();
+
     // Load settings
     const savedSettings = storageManager.loadSettings();
     if (savedSettings) {
@@ -136,6 +356,18 @@ export class App {
         'settings.soundEnabled': savedSettings.soundEnabled ?? true,
         'settings.flashEnabled': savedSettings.flashEnabled ?? true,
         'settings.keyboardVisible': savedSettings.keyboardVisible ?? true,
+        'settings.correctionPolicy': savedSettings.correctionPolicy || 'free',
+        'settings.pastePolicy': savedSettings.pastePolicy || 'reject',
+        'settings.autoAdvance': savedSettings.autoAdvance ?? false,
+        'settings.smartPunctuation': savedSettings.smartPunctuation ?? true,
+        'settings.accentRule': savedSettings.accentRule || 'auto',
+        'settings.lenientMatching': savedSettings.lenientMatching ?? false,
+        'settings.tracker': savedSettings.tracker || TrackerType.HEAD,
+        'settings.customTimeLimit': savedSettings.customTimeLimit || 90,
+        'settings.heatmapVisible': savedSettings.heatmapVisible ?? false,
+        'settings.heatmapMetric': savedSettings.heatmapMetric || 'errors',
+        'settings.heatmapRange': savedSettings.heatmapRange || 'all',
+        'settings.keyboardLayout': savedSettings.keyboardLayout || 'us',
         'settings.currentMode': savedSettings.currentMode || 'standard'
       });
     }
@@ -146,6 +378,9 @@ export class App {
    * @private
    */
   _initComponents() {
+    // Select the saved keyboard layout before drawing it
+    layoutManager.init(appState.get('settings.keyboardLayout'));
+
     // Initialize keyboard
     this.keyboard = new Keyboard(
       this.elements.keyboard,
@@ -161,14 +396,76 @@ export class App {
     this.achievementSystem.loadUnlocked(appState.get('progress.achievements'));
     this.achievementSystem.render();
 
-    // Initialize camera manager
-    cameraManager.init(this.elements.webcam, this.elements.canvasOutput);
+    // Initialize replay viewer
+    this.replayPlayer = new ReplayPlayer({
+      text: this.elements.replayText,
+      keyboard: this.elements.replayKeyboard,
+      playBtn: this.elements.replayPlayBtn,
+      speed: this.elements.replaySpeed,
+      scrubber: this.elements.replayScrubber,
+      time: this.elements.replayTime,
+      timeline: this.elements.replayTimeline
+    });
+
+    this.dashboard = new Dashboard({
+      mode: this.elements.dashboardMode,
+      summary: this.elements.dashboardSummary,
+      wpmChart: this.elements.dashboardWpmChart,
+      accuracyChart: this.elements.dashboardAccuracyChart,
+      timeChart: this.elements.dashboardTimeChart,
+      glanceChart: this.elements.dashboardGlanceChart,
+      glanceKeysChart: this.elements.dashboardGlanceKeysChart
+    });
+
+    this.resultsPanel = new ResultsPanel({
+      panel: this.elements.resultsPanel,
+      summary: this.elements.resultsSummary,
+      speedChart: this.elements.resultsSpeedChart,
+      details: this.elements.resultsDetails,
+      xp: this.elements.xpBreakdown,
+      retryBtn: this.elements.resultsRetryBtn,
+      nextBtn: this.elements.resultsNextBtn,
+      missedBtn: this.elements.resultsMissedBtn
+    }, {
+      onRetry: () => this._continueFromResults(() => this._setNewText(this._lastText)),
+      onNext: () => this._continueFromResults(() => this._nextExercise()),
+      onPracticeMissed: (words) => this._continueFromResults(() => this._startDrill(words))
+    });
+
+    // Initialize look-down tracking
+    trackingManager.init(this.elements.webcam, this.elements.canvasOutput);
 
     // Initialize penalty manager
     penaltyManager.init(this.elements.penaltyOverlay, this.elements.penaltyMessage);
 
+    this._applySavedSettings();
+  }
+
+  /**
+   * Push loaded settings into the managers that keep their own copy
+   * @private
+   */
+  _applySavedSettings() {
     // Initialize audio (needs user interaction first)
     audioManager.setEnabled(appState.get('settings.soundEnabled'));
+
+    // Apply correction and paste rules
+    typingEngine.setConfig({
+      correctionPolicy: appState.get('settings.correctionPolicy'),
+      pastePolicy: appState.get('settings.pastePolicy')
+    });
+
+    // Text is fitted to the layout before it reaches the typing engine
+    textNormalizer.setCharset(layoutManager.getTypeableChars());
+    textNormalizer.setConfig({
+      smartPunctuation: appState.get('settings.smartPunctuation'),
+      accents: appState.get('settings.accentRule'),
+      lenient: appState.get('settings.lenientMatching')
+    });
+
+    // A running tracker of another type is stopped
+    trackingManager.setType(appState.get('settings.tracker'));
+    this._updateCameraOverlay();
   }
 
   /**
@@ -179,17 +476,86 @@ export class App {
     // Start button
     this.elements.startBtn.addEventListener('click', () => this._startApp());
 
+    // Profiles
+    this.elements.profileSelect.addEventListener('change', (e) => this._handleProfileSelect(e.target.value));
+
     // Typing input
     this.elements.typingInput.addEventListener('input', (e) => this._handleInput(e));
     this.elements.typingInput.addEventListener('focus', () => audioManager.init());
 
+    // Endless runs only end when the user says so
+    this.elements.finishBtn.addEventListener('click', () => this._finishExercise());
+
+    // Keyboard heatmap
+    this.elements.heatmapToggle.addEventListener('click', () => {
+      this._changeSetting('heatmapVisible', !appState.get('settings.heatmapVisible'));
+    });
+    this.elements.heatmapMetric.addEventListener('change', (e) => {
+      this._changeSetting('heatmapMetric', e.target.value);
+    });
+    this.elements.heatmapRange.addEventListener('change', (e) => {
+      this._changeSetting('heatmapRange', e.target.value);
+    });
+
+    // Replays
+    this.elements.replayImportBtn.addEventListener('click', () => this._importReplay());
+    this.elements.replayCloseBtn.addEventListener('click', () => this._closeReplay());
+
+    // Dashboard
+    this.elements.dashboardBtn.addEventListener('click', () => this._openDashboard());
+    this.elements.dashboardCloseBtn.addEventListener('click', () => this._closeDashboard());
+
+    // Text library
+    this.elements.libraryCloseBtn.addEventListener('click', () => this._closeLibrary());
+    this.elements.libraryFileBtn.addEventListener('click', () => this._loadLibraryFile());
+    this.elements.libraryAddBtn.addEventListener('click', () => {
+      this._addLibraryText(this.elements.libraryName.value, this.elements.libraryText.value);
+    });
+
     // Camera button
     this.elements.enableCameraBtn.addEventListener('click', () => this._enableCamera());
 
     // Keyboard events
     document.addEventListener('keydown', (e) => {
+      if (e.code === 'ShiftLeft' || e.code === 'ShiftRight') {
+        this._heldShift = e.code;
+      }
+      if (e.key === 'Escape' && !this.elements.replayModal.classList.contains('hidden')) {
+        this._closeReplay();
+        return;
+      }
+      if (e.key === 'Escape' && !this.elements.dashboardModal.classList.contains('hidden')) {
+        this._closeDashboard();
+        return;
+      }
+      if (e.key === 'Escape' && !this.elements.libraryModal.classList.contains('hidden')) {
+        this._closeLibrary();
+        return;
+      }
+      if (e.key === 'Escape' && !this.elements.calibrationOverlay.classList.contains('hidden')) {
+        trackingManager.cancelCalibration();
+        return;
+      }
+      // Results shortcuts, unless a control has focus (Enter would press it too)
+      if (this.resultsPanel.isVisible() && !e.target.closest?.('input, select, textarea, button')) {
+        if (this.resultsPanel.handleKey(e)) {
+          e.preventDefault();
+        }
+        return;
+      }
       if (document.activeElement === this.elements.typingInput) {
-        this.keyboard.highlightKey(e.key);
+        if (e.key === 'Escape') {
+          this._finishExercise();
+          return;
+        }
+        // Modifiers are looked up by physical key, characters by what they type
+        this.keyboard.highlightKey(e.key.length === 1 ? e.key : e.code);
+      }
+    });
+
+    document.addEventListener('keyup', (e) => {
+      if (e.code === this._heldShift) {
+        this._heldShift = null;
       }
     });
 
@@ -205,20 +571,42 @@ export class App {
     // Stats update
     eventBus.on(Events.STATS_UPDATE, (stats) => {
       this._updateCurrentStats(stats);
+      this._updateWordCount(stats.wordsTyped);
     });
 
     // Typing complete
     eventBus.on(Events.TYPING_COMPLETE, (stats) => {
       this._handleExerciseComplete(stats);
+      this._updateHeatmap();
+      this._renderReplays();
     });
 
-    // Camera events
-    eventBus.on(Events.CAMERA_PITCH_UPDATE, ({ pitch }) => {
-      this._updatePitchIndicator(pitch);
+    // Timed test countdown
+    eventBus.on(Events.TYPING_TICK, ({ remaining }) => {
+      this._updateTimer(remaining);
     });
 
-    eventBus.on(Events.CAMERA_LOOKING_DOWN, () => {
-      this._updateCameraStatus(true);
+    // Camera events (from whichever tracker is running)
+    eventBus.on(Events.CAMERA_PITCH_UPDATE, (update) => {
+      if (update.source === trackingManager.getDisplaySource()) {
+        this._updatePitchIndicator(update);
+      }
+    });
+
+    eventBus.on(Events.CAMERA_ENABLED, () => {
+      appState.set('camera.enabled', true);
+      this._updateCameraOverlay();
+    });
+
+    eventBus.on(Events.CAMERA_DISABLED, () => {
+      appState.set('camera.enabled', false);
+      this._updateCameraStatus(false);
+      this.elements.cameraContainer.classList.remove('camera-good');
+      this._updateCameraOverlay();
+    });
+
+    eventBus.on(Events.CAMERA_LOOKING_DOWN, (glance) => {
+      this._updateCameraStatus(true, glance);
       this.textDisplay.showPenalty();
     });
 
@@ -226,6 +614,15 @@ export class App {
       this._updateCameraStatus(false);
     });
 
+    // Turning to another screen is shown, but is not a glance down
+    eventBus.on(Events.CAMERA_LOOKING_ASIDE, () => {
+      if (!trackingManager.isLookingDown) this._updateCameraStatus(false);
+    });
+
+    eventBus.on(Events.CAMERA_LOOKING_BACK, () => {
+      if (!trackingManager.isLookingDown) this._updateCameraStatus(false);
+    });
+
     // Penalty events
     eventBus.on(Events.PENALTY_TRIGGERED, ({ count }) => {
       this.elements.currentPenalties.textContent = count;
@@ -240,6 +637,12 @@ export class App {
     eventBus.on(Events.LEVEL_UP, () => {
       audioManager.playLevelUp();
     });
+
+    // Lesson attempt evaluated
+    eventBus.on(Events.LESSON_COMPLETE, (result) => {
+      this._showLessonResult(result);
+      this._renderLessons();
+    });
   }
 
   /**
@@ -247,8 +650,117 @@ export class App {
    * @private
    */
   _renderUI() {
+    this._renderProfiles();
     this._renderModeSelector();
+    this._renderLessons();
+    this._renderReplays();
     this._renderSettings();
+    this._updateHeatmap();
+  }
+
+  /**
+   * Render the profile menu in the header
+   * @private
+   */
+  _renderProfiles() {
+    const select = this.elements.profileSelect;
+    select.innerHTML = '';
+
+    // Options are built as elements - profile names are user input
+    profileManager.getProfiles().forEach(profile => {
+      select.add(new Option(profile.name, profile.id));
+    });
+    select.add(new Option('Guest (not saved)', GUEST_PROFILE_ID));
+
+    const actions = document.createElement('optgroup');
+    actions.label = 'Manage';
+    actions.append(
+      new Option('New profile…', ProfileAction.CREATE),
+      new Option('Rename profile…', ProfileAction.RENAME),
+      new Option('Delete profile…', ProfileAction.DELETE)
+    );
+    select.add(actions);
+
+    select.value = profileManager.activeId;
+  }
+
+  /**
+   * Switch profile or run a profile menu action
+   * @private
+   */
+  async _handleProfileSelect(value) {
+    const active = profileManager.getActive();
+    const invalidName = 'Please choose a name that is not empty, not too long and not already in use.';
+
+    try {
+      switch (value) {
+        case ProfileAction.CREATE: {
+          const name = prompt('Name for the new profile:');
+          if (name === null) break;
+
+          const profile = profileManager.create(name);
+          if (profile) {
+            await this._switchProfile(profile.id);
+          } else {
+            alert(invalidName);
+          }
+          break;
+        }
+        case ProfileAction.RENAME: {
+          if (active.guest) {
+            alert('The guest profile cannot be renamed.');
+            break;
+          }
+          const name = prompt('New name for this profile:', active.name);
+          if (name !== null && !profileManager.rename(active.id, name)) {
+            alert(invalidName);
+          }
+          break;
+        }
+        case ProfileAction.DELETE: {
+          const others = profileManager.getProfiles().filter(profile => profile.id !== active.id);
+          if (active.guest || others.length === 0) {
+            alert(active.guest ? 'The guest profile is never saved, so there is nothing to delete.' : 'The only profile cannot be deleted.');
+            break;
+          }
+          if (!confirm(`Delete "${active.name}" and all of its progress? This cannot be undone.`)) break;
+
+          await this._switchProfile(others[0].id);
+          await profileManager.remove(active.id);
+          break;
+        }
+        default:
+          await this._switchProfile(value);
+      }
+    } catch (error) {
+      console.error('Profile change failed:', error);
+      alert(`The profile could not be changed: ${error.message}`);
+    }
+
+    // Show the profile that is actually active (the previous one if it failed)
+    this._renderProfiles();
+  }
+
+  /**
+   * Make another profile active and reload everything from its data
+   * @private
+   */
+  async _switchProfile(profileId) {
+    if (profileId === profileManager.activeId) return;
+    if (!(await profileManager.setActive(profileId))) return;
+
+    // Start from a clean state; the camera belongs to the machine, not the profile
+    appState.reset({ ...JSON.parse(JSON.stringify(defaultState)), camera: appState.get('camera') });
+    this._loadSavedData();
+
+    layoutManager.init(appState.get('settings.keyboardLayout'));
+    this.keyboard.setLayout(layoutManager.getActive());
+    this.achievementSystem.loadUnlocked(appState.get('progress.achievements'));
+    this._applySavedSettings();
+
+    this._renderUI();
+    this._setNewText();
+    this._updateUI();
   }
 
   /**
@@ -258,14 +770,24 @@ export class App {
   _renderModeSelector() {
     const currentMode = appState.get('settings.currentMode');
     
-    this.elements.modeSelector.innerHTML = this.modes.map(mode => `
-      <button 
-        class="mode-btn ${mode.id === currentMode ? 'active' : ''}" 
-        data-mode="${mode.id}"
-      >
-        ${mode.name}
-      </button>
-    `).join('');
+    this.elements.modeSelector.innerHTML = this.modeGroups.map(group => {
+      const modes = this.modes.filter(mode => !mode.transient && (mode.group || 'practice') === group.id);
+      if (modes.length === 0) return '';
+
+      return `
+        <div class="mode-group">
+          <span class="mode-group-label">${group.name}</span>
+          ${modes.map(mode => `
+            <button 
+              class="mode-btn ${mode.id === currentMode ? 'active' : ''}" 
+              data-mode="${mode.id}"
+            >
+              ${mode.name}
+            </button>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
 
     // Add click handlers
     this.elements.modeSelector.querySelectorAll('.mode-btn').forEach(btn => {
@@ -279,11 +801,24 @@ export class App {
    */
   _renderSettings() {
     this.elements.settingsContainer.innerHTML = this.settingsConfig.map(setting => {
-      const isActive = appState.get(`settings.${setting.id}`);
+      const value = appState.get(`settings.${setting.id}`);
+      const options = typeof setting.options === 'function' ? setting.options() : setting.options;
+      let control = `<div class="toggle ${value ? 'active' : ''}" data-setting="${setting.id}"></div>`;
+      if (options) {
+        control = `
+          <select class="settings-select" data-setting="${setting.id}">
+            ${options.map(option => `
+              <option value="${escapeHtml(option.value)}" ${option.value === value ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+            `).join('')}
+          </select>
+        `;
+      } else if (setting.action) {
+        control = `<button class="btn btn-secondary settings-action" data-action="${setting.id}">${setting.action}</button>`;
+      }
       return `
         <div class="settings-row">
           <span class="settings-label">${setting.label}</span>
-          <div class="toggle ${isActive ? 'active' : ''}" data-setting="${setting.id}"></div>
+          ${control}
         </div>
       `;
     }).join('');
@@ -292,6 +827,14 @@ export class App {
     this.elements.settingsContainer.querySelectorAll('.toggle').forEach(toggle => {
       toggle.addEventListener('click', () => this._toggleSetting(toggle.dataset.setting));
     });
+
+    this.elements.settingsContainer.querySelectorAll('.settings-select').forEach(select => {
+      select.addEventListener('change', () => this._changeSetting(select.dataset.setting, select.value));
+    });
+
+    this.elements.settingsContainer.querySelectorAll('.settings-action').forEach(button => {
+      button.addEventListener('click', () => this._runSettingAction(button.dataset.action));
+    });
   }
 
   /**
@@ -310,13 +853,24 @@ export class App {
    * @private
    */
   _handleInput(e) {
-    const result = typingEngine.processInput(e.target.value);
+    const result = typingEngine.processInput(e.target.value, {
+      inputType: e.inputType,
+      shiftKey: this._heldShift
+    });
+    this._checkShiftHand(result.keystrokes);
+
+    // Undo whatever the correction/paste rules refused
+    if (result.value !== e.target.value) {
+      e.target.value = result.value;
+    }
     
     // Update text display
-    this.textDisplay.render(typingEngine.getCharacterStates());
+    this._renderText();
 
     // Play sound
-    if (result.char) {
+    if (result.rejected && !result.char) {
+      audioManager.playError();
+    } else if (result.char) {
       if (result.isCorrect) {
         audioManager.playCorrect();
       } else {
@@ -328,28 +882,178 @@ export class App {
   /**
    * Set new text for typing
    * @private
+   * @param {string} [text] - Type this instead of a new text (retries and drills)
    */
-  _setNewText() {
+  _setNewText(text = null) {
     const mode = appState.get('settings.currentMode');
-    const text = textGenerator.getText(mode);
-    
-    typingEngine.setText(text);
+    const modeConfig = this._getMode(mode);
+    const textMode = modeConfig.text || mode;
+    const timeLimit = this._getTimeLimit(modeConfig);
+
+    // Timed, word-count and endless modes stream text in as it is typed,
+    // so the clock, the word count or the user ends the run
+    const isStreamed = Boolean(timeLimit || modeConfig.wordLimit || modeConfig.endless);
+    let hint = null;
+    let lesson = null;
+    let lessonKeys = null;
+    if (isStreamed) {
+      // A given text already holds the whole word-count test; timed and
+      // endless runs carry on streaming after it
+      typingEngine.setText(text || '', {
+        timeLimit,
+        source: text && modeConfig.wordLimit ? null : textGenerator.createStream(textMode, { wordLimit: modeConfig.wordLimit })
+      });
+    } else if (modeConfig.lesson) {
+      // A retry keeps the lesson of its text, though passing moved on
+      lesson = curriculumManager.startAttempt(text ? curriculumManager.attemptLessonId : null);
+      lessonKeys = curriculumManager.getLessonKeys(lesson);
+      typingEngine.setText(text || textGenerator.generateFromKeys(lessonKeys.keys, lesson.wordCount, { focus: lessonKeys.newKeys }));
+      hint = `${lesson.stage}: new keys ${this._formatKeys(lessonKeys.newKeys)}. ` +
+        `Pass with ${lesson.passWPM} WPM at ${lesson.passAccuracy}% accuracy.`;
+    } else if (modeConfig.library) {
+      const collection = textLibraryManager.getActive();
+      if (collection) {
+        const { part, total } = textLibraryManager.getProgress(collection);
+        typingEngine.setText(text || textLibraryManager.getCurrentPart(collection));
+        hint = `${escapeHtml(collection.name)} - part ${part} of ${total}. Switch texts under Settings, Text Library.`;
+      } else {
+        typingEngine.setText(text || textGenerator.getText('standard'));
+        hint = 'Your text library is empty - add a text under Settings, Text Library.';
+      }
+    } else if (modeConfig.drill) {
+      typingEngine.setText(text || textGenerator.generateDrill(this._drillWords));
+      hint = `Drilling ${this._drillWords.length} word${this._drillWords.length === 1 ? '' : 's'} from your last exercise. ` +
+        `Next (Enter) goes back to ${this._getMode(this._returnMode).name}.`;
+    } else if (text) {
+      typingEngine.setText(text);
+    } else if (modeConfig.adaptive) {
+      // Re-weighted every exercise from the latest key statistics
+      const { text: adaptiveText, targets } = textGenerator.generateAdaptive(
+        keyStatsManager.getWeaknessProfile(),
+        modeConfig.wordCount
+      );
+      const keys = [...targets.chars, ...targets.bigrams];
+      typingEngine.setText(adaptiveText);
+      hint = keys.length > 0
+        ? `Targeting your weakest keys: ${this._formatKeys(keys)}`
+        : 'Not enough history yet - complete a few exercises and the drill will adapt to your weak keys.';
+    } else {
+      typingEngine.setText(textGenerator.getText(textMode));
+    }
+    this._updateModeHint(hint);
+    this.keyboard.setAllowedKeys(lessonKeys?.keys || null, lessonKeys?.newKeys);
     typingEngine.setMode(mode);
     this.textDisplay.setMode(mode);
-    this.textDisplay.render(typingEngine.getCharacterStates());
+    this.textDisplay.setWindow(isStreamed ? STREAM_WINDOW : null);
+    this._renderText();
     
     this.elements.typingInput.value = '';
     this.elements.typingInput.disabled = false;
     
     penaltyManager.reset();
     this.elements.currentPenalties.textContent = '0';
+
+    this.elements.finishBtn.classList.toggle('hidden', !modeConfig.endless);
+    this._hideResults();
+
+    this._updateTimer(timeLimit);
+    this._updateWordCount(0);
+    this._updateModeBest();
+  }
+
+  /**
+   * Render the visible part of the exercise text
+   * @private
+   */
+  _renderText() {
+    const position = typingEngine.getCurrentPosition();
+    const range = this.textDisplay.getVisibleRange(position, typingEngine.currentText);
+    this.textDisplay.render(typingEngine.getCharacterStates(range));
+    this.keyboard.showExpectedKey(textNormalizer.toTypeable(typingEngine.currentText[position]));
+  }
+
+  /**
+   * Flag shifted characters typed with the Shift key on the same hand
+   * @private
+   * @param {Array<Object>} keystrokes - Keystrokes from the last input
+   */
+  _checkShiftHand(keystrokes) {
+    keystrokes
+      .filter(keystroke => keystroke.type === 'insert' && keystroke.isCorrect && keystroke.shiftKey)
+      .forEach(keystroke => {
+        const expected = this.keyboard.getShiftKeyFor(keystroke.char);
+        if (expected && keystroke.shiftKey !== expected) {
+          typingEngine.flagTechniqueError(keystroke, 'shift-hand');
+          this.keyboard.highlightKey(keystroke.shiftKey, true);
+        }
+      });
+  }
+
+  /**
+   * End an endless exercise on request
+   * @private
+   */
+  _finishExercise() {
+    const modeConfig = this._getMode(appState.get('settings.currentMode'));
+    if (!modeConfig.endless || !typingEngine.isActive()) return;
+
+    typingEngine.complete();
+  }
+
+  /**
+   * Get mode configuration by id
+   * @private
+   * @param {string} modeId
+   * @returns {Object}
+   */
+  _getMode(modeId) {
+    return this.modes.find(mode => mode.id === modeId) || this.modes[0];
+  }
+
+  /**
+   * Get the time limit for a mode in seconds
+   * @private
+   * @param {Object} modeConfig
+   * @returns {number|null}
+   */
+  _getTimeLimit(modeConfig) {
+    if (modeConfig.customTime) {
+      return appState.get('settings.customTimeLimit');
+    }
+    return modeConfig.timeLimit || null;
+  }
+
+  /**
+   * Ask for the custom test length
+   * @private
+   * @returns {boolean} Whether a valid length was entered
+   */
+  _promptCustomTime() {
+    const answer = prompt('Test length in seconds (5-3600):', appState.get('settings.customTimeLimit'));
+    if (answer === null) return false;
+
+    const seconds = parseInt(answer, 10);
+    if (!Number.isFinite(seconds) || seconds < 5 || seconds > 3600) {
+      alert('Please enter a number of seconds between 5 and 3600.');
+      return false;
+    }
+
+    appState.set('settings.customTimeLimit', seconds);
+    return true;
   }
 
   /**
    * Change typing mode
    * @private
+   * @param {string} mode
+   * @param {Object} [options]
+   * @param {boolean} [options.askTime] - Ask for the length of a custom timed test
    */
-  _changeMode(mode) {
+  _changeMode(mode, { askTime = true } = {}) {
+    if (askTime && this._getMode(mode).customTime && !this._promptCustomTime()) {
+      return;
+    }
+
     appState.set('settings.currentMode', mode);
     
     // Update UI
@@ -391,6 +1095,118 @@ export class App {
     eventBus.emit(Events.SETTING_CHANGED, { setting: settingId, value: newValue });
   }
 
+  /**
+   * Change a multiple-choice setting
+   * @private
+   */
+  _changeSetting(settingId, value) {
+    appState.set(`settings.${settingId}`, value);
+    this._applySetting(settingId, value);
+    this._saveSettings();
+
+    eventBus.emit(Events.SETTING_CHANGED, { setting: settingId, value });
+  }
+
+  /**
+   * Run a settings button
+   * @private
+   */
+  _runSettingAction(actionId) {
+    const date = new Date().toISOString().slice(0, 10);
+
+    switch (actionId) {
+      case 'importLayout':
+        this._importLayout();
+        break;
+      case 'exportData':
+        this._downloadFile(`typevision-backup-${date}.json`, exportManager.exportJSON(), 'application/json');
+        break;
+      case 'exportHistory':
+        this._downloadFile(`typevision-sessions-${date}.csv`, exportManager.exportSessionsCSV(), 'text/csv');
+        break;
+      case 'importData':
+        this._importData();
+        break;
+      case 'textLibrary':
+        this._openLibrary();
+        break;
+      case 'calibrateTracker':
+        this._calibrateTracker();
+        break;
+    }
+  }
+
+  /**
+   * Restore a backup, after showing what it contains and asking
+   * whether to merge it or replace the current data
+   * @private
+   */
+  _importData() {
+    this._pickFile('.json,application/json', async (text) => {
+      const { bundle, error } = exportManager.parseBundle(text);
+      if (error) {
+        alert(`Could not import data. ${error}`);
+        return;
+      }
+
+      const choice = prompt(
+        `${this._describeImport(exportManager.summarize(bundle))}\n\n` +
+        `Type "${ImportMode.MERGE}" to add this backup to your data, or "${ImportMode.REPLACE}" to overwrite your data with it.`,
+        ImportMode.MERGE
+      );
+      if (choice === null) return;
+
+      const mode = choice.trim().toLowerCase();
+      if (!Object.values(ImportMode).includes(mode)) {
+        alert(`Nothing was imported - please type "${ImportMode.MERGE}" or "${ImportMode.REPLACE}".`);
+        return;
+      }
+
+      exportManager.importBundle(bundle, mode);
+      await storageManager.flush();
+
+      // Every manager reads storage at startup, so start over with the new data
+      window.location.reload();
+    });
+  }
+
+  /**
+   * Describe a backup compared with the current data
+   * @private
+   */
+  _describeImport({ exportedAt, sessions, keyStats, texts, progress, newAchievements, settingsChanged }) {
+    const level = (p) => (p ? `level ${p.level} (${p.totalXP} XP)` : 'none');
+
+    return [
+      `Backup from ${new Date(exportedAt).toLocaleString()}`,
+      `Sessions: ${sessions.incoming} in backup, ${sessions.new} new (you have ${sessions.current})`,
+      `Key statistics: ${keyStats.incoming} records, ${keyStats.new} new`,
+      `Library texts: ${texts.incoming} in backup, ${texts.new} new`,
+      `Progress: backup ${level(progress.incoming)}, yours ${level(progress.current)}`,
+      `New achievements: ${newAchievements.length}`,
+      `Differing saved data: ${settingsChanged.join(', ') || 'none'}`
+    ].join('\n');
+  }
+
+  /**
+   * Let the user load a custom layout file and switch to it
+   * @private
+   */
+  _importLayout() {
+    this._pickFile('.json,application/json', (text) => {
+      const layout = layoutManager.importLayout(text);
+      if (!layout) {
+        alert('Could not import layout. See data/layouts.js for the file format.');
+        return;
+      }
+
+      appState.set('settings.keyboardLayout', layout.id);
+      this._renderSettings();
+      this._applySetting('keyboardLayout', layout.id);
+      this._saveSettings();
+    });
+  }
+
   /**
    * Apply a setting change
    * @private
@@ -403,6 +1219,40 @@ export class App {
       case 'keyboardVisible':
         this.keyboard.setVisible(value);
         break;
+      case 'keyboardLayout':
+        layoutManager.setActive(value);
+        textNormalizer.setCharset(layoutManager.getTypeableChars());
+        this._renderLessons();
+        this._setNewText();
+        this._updateHeatmap();
+        break;
+      case 'heatmapVisible':
+      case 'heatmapMetric':
+      case 'heatmapRange':
+        this._updateHeatmap();
+        break;
+      case 'correctionPolicy':
+      case 'pastePolicy':
+        typingEngine.setConfig({ [settingId]: value });
+        break;
+      case 'tracker': {
+        const wasEnabled = trackingManager.isEnabled();
+        trackingManager.setType(value);
+        this._updateCameraOverlay();
+        // The camera was already allowed, so carry on with the new tracker
+        if (wasEnabled && value !== TrackerType.OFF) {
+          this._enableCamera();
+        }
+        break;
+      }
+      case 'smartPunctuation':
+      case 'accentRule':
+      case 'lenientMatching': {
+        const key = { smartPunctuation: 'smartPunctuation', accentRule: 'accents', lenientMatching: 'lenient' }[settingId];
+        textNormalizer.setConfig({ [key]: value });
+        this._setNewText();
+        break;
+      }
       // flashEnabled is handled by PenaltyManager via event
     }
   }
@@ -416,32 +1266,162 @@ export class App {
       soundEnabled: appState.get('settings.soundEnabled'),
       flashEnabled: appState.get('settings.flashEnabled'),
       keyboardVisible: appState.get('settings.keyboardVisible'),
-      currentMode: appState.get('settings.currentMode')
+      correctionPolicy: appState.get('settings.correctionPolicy'),
+      pastePolicy: appState.get('settings.pastePolicy'),
+      autoAdvance: appState.get('settings.autoAdvance'),
+      smartPunctuation: appState.get('settings.smartPunctuation'),
+      accentRule: appState.get('settings.accentRule'),
+      lenientMatching: appState.get('settings.lenientMatching'),
+      tracker: appState.get('settings.tracker'),
+      customTimeLimit: appState.get('settings.customTimeLimit'),
+      heatmapVisible: appState.get('settings.heatmapVisible'),
+      heatmapMetric: appState.get('settings.heatmapMetric'),
+      heatmapRange: appState.get('settings.heatmapRange'),
+      keyboardLayout: appState.get('settings.keyboardLayout'),
+      // A drill is never resumed - the next visit starts where it came from
+      currentMode: this._getMode(appState.get('settings.currentMode')).transient
+        ? this._returnMode
+        : appState.get('settings.currentMode')
     });
   }
 
   /**
-   * Enable camera
+   * Color the keyboard from persisted key statistics
    * @private
    */
-  async _enableCamera() {
-    const success = await cameraManager.enable();
-    
-    if (success) {
-      this.elements.cameraOverlay.classList.add('hidden');
-      this.elements.cameraStatus.classList.remove('hidden');
-      this.elements.pitchIndicator.classList.remove('hidden');
-      appState.set('camera.enabled', true);
-    } else {
-      alert('Could not access camera. Please ensure camera permissions are granted.');
+  _updateHeatmap() {
+    const { heatmapVisible, heatmapMetric, heatmapRange } = appState.get('settings');
+
+    this.elements.heatmapToggle.classList.toggle('active', heatmapVisible);
+    this.elements.heatmapControls.classList.toggle('hidden', !heatmapVisible);
+    this.elements.heatmapMetric.value = heatmapMetric;
+    this.elements.heatmapRange.value = heatmapRange;
+
+    const scale = heatmapVisible
+      ? this.keyboard.setHeatmap(keyStatsManager.getCharTotals(heatmapRange), { metric: heatmapMetric })
+      : this.keyboard.setHeatmap(null);
+
+    const unit = heatmapMetric === 'latency' ? ' ms' : '%';
+    this.elements.heatmapMin.textContent = scale ? `${scale.min}${unit}` : 'No data yet';
+    this.elements.heatmapMax.textContent = scale ? `${scale.max}${unit}` : '';
+  }
+
+  /**
+   * Enable camera with the chosen tracker
+   * Gaze tracking is offered a calibration if it has none yet
+   * @private
+   * @param {Object} [options]
+   * @param {boolean} [options.offerCalibration]
+   * @returns {Promise<boolean>} Success status
+   */
+  async _enableCamera({ offerCalibration = true } = {}) {
+    const success = await trackingManager.enable();
+
+    if (!success) {
+      alert(trackingManager.usesGaze()
+        ? 'Could not start eye gaze tracking. Please ensure camera permissions are granted and WebGazer can be loaded.'
+        : 'Could not access camera. Please ensure camera permissions are granted.');
+      return false;
+    }
+
+    if (offerCalibration && trackingManager.needsCalibration() &&
+        confirm('Eye gaze tracking has to be calibrated before it can tell where you are looking. Calibrate now?')) {
+      await this._calibrateTracker();
+    }
+    return true;
+  }
+
+  /**
+   * Show the camera overlay until tracking runs, worded for the chosen tracker
+   * @private
+   */
+  _updateCameraOverlay() {
+    const enabled = trackingManager.isEnabled();
+    const type = trackingManager.type;
+
+    this.elements.cameraOverlay.classList.toggle('hidden', enabled);
+    this.elements.cameraStatus.classList.toggle('hidden', !enabled);
+    this.elements.pitchIndicator.classList.toggle('hidden', !enabled);
+    this.elements.cameraOverlayText.innerHTML = TRACKER_PROMPTS[type];
+    this.elements.enableCameraBtn.classList.toggle('hidden', type === TrackerType.OFF);
+  }
+
+  /**
+   * Calibrate the tracker - head pose by looking at the screen and then
+   * the keyboard, gaze with targets to look at and click
+   * @private
+   */
+  async _calibrateTracker() {
+    if (!trackingManager.canCalibrate()) {
+      alert('Look-down tracking is off. Choose a tracker in Settings first.');
+      return;
+    }
+    if (!trackingManager.isEnabled() && !(await this._enableCamera({ offerCalibration: false }))) {
+      return;
+    }
+
+    const { calibrationOverlay, calibrationTitle, calibrationHint, calibrationDot, calibrationProgress } = this.elements;
+    calibrationOverlay.classList.remove('hidden');
+    // Looking around the screen is the point here
+    penaltyManager.setEnabled(false);
+    glanceLogManager.setEnabled(false);
+
+    // The keyboard step is done without looking, so its end is a sound
+    let headStep = null;
+    const endHeadStep = () => {
+      if (headStep === HeadCalibrationStep.KEYBOARD) {
+        audioManager.playComplete();
+      }
+      headStep = null;
+    };
+    const moveDot = (x, y) => {
+      calibrationDot.classList.remove('hidden');
+      calibrationDot.style.left = `${x}px`;
+      calibrationDot.style.top = `${y}px`;
+    };
+
+    const { calibrated, error } = await trackingManager.calibrate({
+      onStep: (step) => {
+        headStep = step;
+        calibrationTitle.textContent = 'Calibrate Head Tracking';
+        calibrationHint.textContent = 'Sit the way you do when typing and move your head as you normally would. Esc cancels.';
+        if (step === HeadCalibrationStep.SCREEN) {
+          moveDot(window.innerWidth / 2, window.innerHeight / 2);
+          calibrationProgress.textContent = 'Look at the dot in the middle of the screen…';
+        } else {
+          calibrationDot.classList.add('hidden');
+          calibrationProgress.textContent = 'Now look down at your keyboard until you hear the chime';
+        }
+      },
+      onPoint: (point, number, total, clicksLeft) => {
+        endHeadStep();
+        calibrationTitle.textContent = 'Calibrate Eye Tracking';
+        calibrationHint.textContent = 'Look at the dot and click it each time it asks. Keep your head still. Esc cancels.';
+        moveDot(point.x, point.y);
+        calibrationProgress.textContent = `Point ${number} of ${total} · ${clicksLeft} click${clicksLeft === 1 ? '' : 's'} left`;
+      }
+    });
+    endHeadStep();
+
+    penaltyManager.setEnabled(true);
+    glanceLogManager.setEnabled(true);
+    calibrationOverlay.classList.add('hidden');
+    this.elements.typingInput.focus();
+
+    if (error) {
+      alert(`Calibration failed. ${error}`);
+    } else if (!calibrated && trackingManager.needsCalibration()) {
+      alert('Calibration was cancelled. Eye gaze tracking will not work until it is calibrated.');
     }
   }
 
   /**
    * Update camera status display
    * @private
+   * @param {boolean} isLookingDown
+   * @param {Object} [glance] - CAMERA_LOOKING_DOWN payload, explained on hover
    */
-  _updateCameraStatus(isLookingDown) {
+  _updateCameraStatus(isLookingDown, glance = null) {
     const container = this.elements.cameraContainer;
     const status = this.elements.cameraStatus;
     const statusText = this.elements.statusText;
@@ -452,31 +1432,475 @@ export class App {
       status.classList.remove('good');
       status.classList.add('warning');
       statusText.textContent = 'Looking down!';
+      status.title = glance ? `${glance.reason} (${Math.round(glance.confidence * 100)}% confidence)` : '';
     } else {
       container.classList.remove('looking-down');
       container.classList.add('camera-good');
       status.classList.add('good');
       status.classList.remove('warning');
-      statusText.textContent = 'Eyes on screen';
+      const isLookingAside = trackingManager.getState().isLookingAside;
+      statusText.textContent = isLookingAside ? 'Looking aside' : 'Eyes on screen';
+      status.title = isLookingAside ? 'Head turned away from the screen' : '';
     }
   }
 
   /**
    * Update pitch indicator
+   * The look-down threshold sits at 80% of the bar for every tracker
    * @private
+   * @param {Object} update - CAMERA_PITCH_UPDATE payload
    */
-  _updatePitchIndicator(pitch) {
-    const pitchPercent = Math.min(100, Math.max(0, 50 + pitch * 2));
+  _updatePitchIndicator({ pitch, level, source }) {
+    const pitchPercent = Math.min(100, Math.max(0, 50 + level * 30));
     this.elements.pitchBar.style.width = `${pitchPercent}%`;
-    this.elements.pitchLabel.textContent = `${Math.round(pitch)}°`;
+    this.elements.pitchLabel.textContent = `${Math.round(pitch)}${PITCH_UNITS[source]}`;
     
-    if (pitch > 15) {
+    if (level > 1) {
       this.elements.pitchBar.classList.add('warning');
     } else {
       this.elements.pitchBar.classList.remove('warning');
     }
   }
 
+  /**
+   * Update the countdown for timed tests
+   * @private
+   * @param {number|null} seconds - Time remaining, or null to hide
+   */
+  _updateTimer(seconds) {
+    const timer = this.elements.timerDisplay;
+
+    if (seconds === null) {
+      timer.classList.add('hidden');
+      return;
+    }
+
+    const whole = Math.ceil(seconds);
+    timer.textContent = `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    timer.classList.remove('hidden');
+    timer.classList.toggle('warning', seconds <= 5);
+  }
+
+  /**
+   * Show words typed against the target in word-count modes
+   * @private
+   * @param {number} wordsTyped
+   */
+  _updateWordCount(wordsTyped) {
+    const { wordLimit } = this._getMode(appState.get('settings.currentMode'));
+    if (!wordLimit) return;
+
+    const timer = this.elements.timerDisplay;
+    timer.textContent = `${Math.min(wordsTyped, wordLimit)}/${wordLimit}`;
+    timer.classList.remove('hidden', 'warning');
+  }
+
+  /**
+   * Explain what the current drill is targeting
+   * @private
+   * @param {string|null} html - Hint markup, or null to hide
+   */
+  _updateModeHint(html) {
+    const hint = this.elements.modeHint;
+    hint.classList.toggle('hidden', !html);
+    hint.innerHTML = html || '';
+  }
+
+  /**
+   * Show the results of a finished exercise in place of the text
+   * @private
+   * @param {Object} stats - TYPING_COMPLETE payload
+   * @param {Object|null} xp - From ScoreCalculator, null if none was awarded
+   */
+  _showResults(stats, xp) {
+    this._lastText = stats.text;
+    this.resultsPanel.show({ stats, penalties: penaltyManager.getPenalties(), xp });
+    this.elements.typingCard.classList.add('showing-results');
+
+    if (appState.get('settings.autoAdvance')) {
+      this._advanceTimer = setTimeout(() => this._nextExercise(), AUTO_ADVANCE_DELAY);
+    }
+  }
+
+  /**
+   * Put the text back in place of the results
+   * @private
+   */
+  _hideResults() {
+    clearTimeout(this._advanceTimer);
+    this._advanceTimer = null;
+    this.resultsPanel.hide();
+    this.elements.typingCard.classList.remove('showing-results');
+  }
+
+  /**
+   * Leave the results for the next exercise, ready to type
+   * @private
+   * @param {Function} start - Sets up the next exercise
+   */
+  _continueFromResults(start) {
+    start();
+    this.elements.typingInput.focus();
+  }
+
+  /**
+   * Move on to a new text - or out of a drill, back to where it started
+   * @private
+   */
+  _nextExercise() {
+    if (this._getMode(appState.get('settings.currentMode')).transient) {
+      this._changeMode(this._returnMode, { askTime: false });
+    } else {
+      this._setNewText();
+    }
+  }
+
+  /**
+   * Drill the given words in the transient drill mode
+   * @private
+   * @param {Array<string>} words
+   */
+  _startDrill(words) {
+    const mode = appState.get('settings.currentMode');
+    if (!this._getMode(mode).transient) {
+      this._returnMode = mode;
+    }
+    this._drillWords = [...words];
+    this._changeMode(DRILL_MODE);
+  }
+
+  /**
+   * Format keys for display in a hint
+   * @private
+   * @param {Array<string>} keys
+   * @returns {string}
+   */
+  _formatKeys(keys) {
+    return keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ');
+  }
+
+  /**
+   * Render the curriculum lesson list
+   * @private
+   */
+  _renderLessons() {
+    const lessons = curriculumManager.lessons;
+    const stages = [...new Set(lessons.map(lesson => lesson.stage))];
+    const currentId = curriculumManager.getCurrentLesson().id;
+
+    this.elements.lessonList.innerHTML = stages.map(stage => `
+      <div class="lesson-stage">
+        <span class="lesson-stage-label">${stage}</span>
+        ${lessons.filter(lesson => lesson.stage === stage).map(lesson => {
+          const unlocked = curriculumManager.isUnlocked(lesson.id);
+          const classes = [
+            'lesson-btn',
+            curriculumManager.isPassed(lesson.id) ? 'passed' : '',
+            lesson.id === currentId ? 'current' : ''
+          ].join(' ');
+
+          return `
+            <button class="${classes}" data-lesson="${lesson.id}" ${unlocked ? '' : 'disabled'}>
+              ${unlocked ? '' : '🔒 '}${escapeHtml(curriculumManager.getLessonName(lesson))}
+            </button>
+          `;
+        }).join('')}
+      </div>
+    `).join('');
+
+    this.elements.lessonList.querySelectorAll('.lesson-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._selectLesson(btn.dataset.lesson));
+    });
+  }
+
+  /**
+   * Render the list of recorded replays
+   * @private
+   */
+  _renderReplays() {
+    const replays = replayManager.getAll();
+    if (replays.length === 0) {
+      this.elements.replayList.innerHTML = '<span class="replay-empty">Finish an exercise to record a replay.</span>';
+      return;
+    }
+
+    this.elements.replayList.innerHTML = replays.slice(0, 5).map(replay => `
+      <div class="replay-item">
+        <span class="replay-item-info">
+          ${escapeHtml(this.modes.find(mode => mode.id === replay.mode)?.name || replay.mode)} · ${escapeHtml(replay.stats?.wpm ?? '?')} WPM ·
+          ${new Date(replay.createdAt).toLocaleDateString()}
+        </span>
+        <button class="btn btn-secondary" data-replay="${escapeHtml(replay.id)}" data-action="watch">Watch</button>
+        <button class="btn btn-secondary" data-replay="${escapeHtml(replay.id)}" data-action="export">Export</button>
+      </div>
+    `).join('');
+
+    this.elements.replayList.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'watch') {
+          this._openReplay(btn.dataset.replay);
+        } else {
+          this._exportReplay(btn.dataset.replay);
+        }
+      });
+    });
+  }
+
+  /**
+   * Open the replay viewer
+   * @private
+   */
+  _openReplay(replayId) {
+    const replay = replayManager.get(replayId);
+    if (!replay) return;
+
+    this.elements.replayTitle.textContent =
+      `Replay — ${replay.stats?.wpm ?? '?'} WPM, ${replay.stats?.accuracy ?? '?'}% accuracy`;
+    this.elements.replayModal.classList.remove('hidden');
+    this.replayPlayer.load(replay);
+    this.replayPlayer.play();
+  }
+
+  /**
+   * Close the replay viewer
+   * @private
+   */
+  _closeReplay() {
+    this.replayPlayer.pause();
+    this.elements.replayModal.classList.add('hidden');
+  }
+
+  /**
+   * Open the statistics dashboard
+   * @private
+   */
+  _openDashboard() {
+    this.dashboard.render(storageManager.getHistory(), this.modes);
+    this.elements.dashboardModal.classList.remove('hidden');
+  }
+
+  /**
+   * Close the statistics dashboard
+   * @private
+   */
+  _closeDashboard() {
+    this.elements.dashboardModal.classList.add('hidden');
+  }
+
+  /**
+   * Open the text library
+   * @private
+   */
+  _openLibrary() {
+    this._renderLibrary();
+    this.elements.libraryModal.classList.remove('hidden');
+  }
+
+  /**
+   * Close the text library
+   * @private
+   */
+  _closeLibrary() {
+    this.elements.libraryModal.classList.add('hidden');
+  }
+
+  /**
+   * Render the text collections with their progress
+   * @private
+   */
+  _renderLibrary() {
+    const list = this.elements.libraryList;
+    const collections = textLibraryManager.getCollections();
+    const activeId = textLibraryManager.getActive()?.id;
+    list.innerHTML = '';
+
+    if (collections.length === 0) {
+      list.innerHTML = '<span class="library-empty">No texts yet - paste one below or load a .txt or .md file.</span>';
+      return;
+    }
+
+    // Built as elements - names are user input
+    collections.forEach(collection => {
+      const { part, total, percent } = textLibraryManager.getProgress(collection);
+      const item = document.createElement('div');
+      item.className = `library-item${collection.id === activeId ? ' active' : ''}`;
+
+      const info = document.createElement('span');
+      info.className = 'library-item-info';
+      info.textContent = `${collection.name} · part ${part} of ${total} (${percent}%)` +
+        (collection.completedAt ? ' · finished' : '');
+
+      const buttons = [
+        ['Practice', () => this._practiceLibraryText(collection.id)],
+        ['Restart', () => {
+          textLibraryManager.restart(collection.id);
+          this._renderLibrary();
+        }],
+        ['Delete', () => {
+          if (!confirm(`Delete "${collection.name}" from your library?`)) return;
+          textLibraryManager.remove(collection.id);
+          this._renderLibrary();
+        }]
+      ].map(([label, onClick]) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+      });
+
+      item.append(info, ...buttons);
+      list.append(item);
+    });
+  }
+
+  /**
+   * Add pasted or loaded text to the library
+   * @private
+   * @param {string} name
+   * @param {string} text
+   * @param {string} [source] - File name
+   */
+  _addLibraryText(name, text, source = null) {
+    const collection = textLibraryManager.create(name, text, { source });
+    if (!collection) {
+      alert('There is no typeable text to add. Paste some text or choose a .txt or .md file.');
+      return;
+    }
+
+    this.elements.libraryName.value = '';
+    this.elements.libraryText.value = '';
+    textLibraryManager.setActive(collection.id);
+    this._renderLibrary();
+  }
+
+  /**
+   * Add a .txt or .md file to the library
+   * @private
+   */
+  _loadLibraryFile() {
+    this._pickFile('.txt,.md,.markdown,text/plain,text/markdown', (text, file) => {
+      this._addLibraryText(this.elements.libraryName.value || file.name.replace(/\.[^.]+$/, ''), text, file.name);
+    });
+  }
+
+  /**
+   * Practise a library text from where it was left
+   * @private
+   */
+  _practiceLibraryText(collectionId) {
+    textLibraryManager.setActive(collectionId);
+    this._closeLibrary();
+    if (appState.get('settings.currentMode') === LIBRARY_MODE) {
+      this._setNewText();
+    } else {
+      this._changeMode(LIBRARY_MODE);
+    }
+  }
+
+  /**
+   * Download a replay as a JSON file
+   * @private
+   */
+  _exportReplay(replayId) {
+    const json = replayManager.exportReplay(replayId);
+    if (json) {
+      this._downloadFile(`typevision-${replayId}.json`, json, 'application/json');
+    }
+  }
+
+  /**
+   * Load a replay file shared by someone else and open it
+   * @private
+   */
+  _importReplay() {
+    this._pickFile('.json,application/json', (text) => {
+      const replay = replayManager.importReplay(text);
+      if (!replay) {
+        alert('Could not import replay. Please choose a file exported from TypeVision.');
+        return;
+      }
+      this._renderReplays();
+      this._openReplay(replay.id);
+    });
+  }
+
+  /**
+   * Save text as a file download
+   * @private
+   */
+  _downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Ask the user for a file and read it as text
+   * @private
+   * @param {string} accept - File input accept filter
+   * @param {Function} onLoad - Called with the file's text and the File
+   */
+  _pickFile(accept, onLoad) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (file) {
+        onLoad(await file.text(), file);
+      }
+    });
+
+    input.click();
+  }
+
+  /**
+   * Start practising a lesson
+   * @private
+   */
+  _selectLesson(lessonId) {
+    if (!curriculumManager.setCurrentLesson(lessonId)) return;
+
+    this._renderLessons();
+    if (appState.get('settings.currentMode') === LESSON_MODE) {
+      this._setNewText();
+    } else {
+      this._changeMode(LESSON_MODE);
+    }
+  }
+
+  /**
+   * Report a lesson attempt in the hint line
+   * @private
+   */
+  _showLessonResult({ lesson, passed, wpm, accuracy, unlocked }) {
+    // Lesson names hold the layout's characters; the hint is HTML
+    const name = escapeHtml(curriculumManager.getLessonName(lesson));
+    if (passed) {
+      this._updateModeHint(unlocked
+        ? `Passed ${name}! Next up: ${escapeHtml(curriculumManager.getLessonName(unlocked))}.`
+        : `Passed ${name} (${wpm} WPM, ${accuracy}%).`);
+    } else {
+      this._updateModeHint(`Not yet - ${name} needs ${lesson.passWPM} WPM at ` +
+        `${lesson.passAccuracy}% accuracy (you typed ${wpm} WPM, ${accuracy}%).`);
+    }
+  }
+
+  /**
+   * Show the personal best for the current mode
+   * @private
+   */
+  _updateModeBest() {
+    const mode = appState.get('settings.currentMode');
+    const best = appState.get(`progress.personalBests.${mode}`);
+    this.elements.modeBest.textContent = best ? `Best: ${best} WPM` : '';
+  }
+
   /**
    * Update current session stats display
    * @private
@@ -493,17 +1917,46 @@ export class App {
    */
   _handleExerciseComplete(stats) {
     this.elements.typingInput.disabled = true;
+
+    // Pasted runs are not real typing - no XP, no records
+    if (stats.pasted) {
+      audioManager.playError();
+      this._showResults(stats, null);
+      return;
+    }
+
     audioManager.playComplete();
 
-    // Calculate XP
-    let xpEarned = Math.round(stats.wpm * (stats.accuracy / 100) * 2);
-    
-    // Bonus for no penalties with camera on
-    if (penaltyManager.isPerfect() && appState.get('camera.enabled')) {
-      xpEarned = Math.round(xpEarned * 1.5);
+    // Calculate XP - look-down penalties come off the award
+    const cameraEnabled = Boolean(appState.get('camera.enabled'));
+    const xp = scoreCalculator.calculate({
+      wpm: stats.wpm,
+      accuracy: stats.accuracy,
+      cameraEnabled,
+      penalties: penaltyManager.getCount(),
+      penaltyXP: penaltyManager.getXPLost()
+    });
+    const xpEarned = xp.total;
+
+    if (penaltyManager.isPerfect() && cameraEnabled) {
       this.achievementSystem.unlock('eyes-up');
     }
 
+    storageManager.addSessionToHistory({
+      mode: stats.mode,
+      duration: stats.timeElapsed,
+      wpm: stats.wpm,
+      rawWpm: stats.rawWpm,
+      accuracy: stats.accuracy,
+      errors: stats.errors,
+      penalties: penaltyManager.getCount(),
+      glances: cameraEnabled ? glanceLogManager.getGlances() : null,
+      cameraEnabled,
+      xp
+    }, stats.keystrokes);
+
+    eventBus.emit(Events.XP_GAINED, xp);
+
     // Update progress
     const currentXP = appState.get('progress.xp') + xpEarned;
     const currentLevel = appState.get('progress.level');
@@ -525,6 +1978,12 @@ export class App {
       appState.set('progress.bestWPM', stats.wpm);
     }
 
+    // Each mode (and each timed test length) keeps its own record
+    if (stats.wpm > (appState.get(`progress.personalBests.${stats.mode}`) || 0)) {
+      appState.set(`progress.personalBests.${stats.mode}`, stats.wpm);
+      this._updateModeBest();
+    }
+
     // Check achievements
     this.achievementSystem.unlock('first-lesson');
     if (stats.wpm >= 30) this.achievementSystem.unlock('speed-30');
@@ -536,10 +1995,7 @@ export class App {
     this._saveProgress();
     this._updateUI();
 
-    // Reset for next round after delay
-    setTimeout(() => {
-      this._setNewText();
-    }, 2000);
+    this._showResults(stats, xp);
   }
 
   /**
@@ -553,7 +2009,8 @@ export class App {
       xp: appState.get('progress.xp'),
       bestWPM: appState.get('progress.bestWPM'),
       streak: appState.get('progress.streak'),
-      achievements: this.achievementSystem.getUnlocked()
+      achievements: this.achievementSystem.getUnlocked(),
+      personalBests: { ...appState.get('progress.personalBests') }
     });
   }
 
@@ -0,0 +1,367 @@
+/**
+ * Dashboard Class
+ * Charts the session history - WPM and accuracy trends per mode with
+ * moving averages and personal bests, practice time per day, and how
+ * often (and for which keys) the user glanced down
+ */
+import { escapeHtml } from '../utils/html.js';
+
+// Sessions averaged by the trend lines
+const MOVING_AVERAGE = 10;
+
+// Days shown in the practice time chart
+const DAYS_SHOWN = 30;
+
+// Chart drawing area (SVG user units)
+const CHART = { width: 600, height: 180, padLeft: 36, padRight: 8, padTop: 10, padBottom: 22 };
+
+// Mode filter value that shows every mode together
+const ALL_MODES = 'all';
+
+// Keys shown in the glance chart
+const GLANCE_KEYS_SHOWN = 15;
+
+export class Dashboard {
+  /**
+   * @param {Object} elements - { mode, summary, wpmChart, accuracyChart, timeChart,
+   *   glanceChart, glanceKeysChart }
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.sessions = [];
+    this.modes = [];
+    this.modeId = ALL_MODES;
+
+    this.elements.mode.addEventListener('change', (e) => this.setMode(e.target.value));
+  }
+
+  /**
+   * Draw the dashboard for a session history
+   * @param {Array<Object>} history - Sessions from StorageManager, newest first
+   * @param {Array<Object>} modes - App modes, for display names
+   */
+  render(history, modes) {
+    this.sessions = markPersonalBests([...history].reverse());
+    this.modes = modes;
+
+    const played = new Set(this.sessions.map(session => session.mode));
+    if (this.modeId !== ALL_MODES && !played.has(this.modeId)) {
+      this.modeId = ALL_MODES;
+    }
+
+    this.elements.mode.innerHTML = [
+      `<option value="${ALL_MODES}">All modes</option>`,
+      ...[...played].map(id => `<option value="${escapeHtml(id)}">${escapeHtml(this._getModeName(id))}</option>`)
+    ].join('');
+    this.elements.mode.value = this.modeId;
+
+    this._renderCharts();
+  }
+
+  /**
+   * Show one mode, or all of them
+   * @param {string} modeId
+   */
+  setMode(modeId) {
+    this.modeId = modeId;
+    this._renderCharts();
+  }
+
+  /**
+   * Display name of a mode
+   * @private
+   */
+  _getModeName(id) {
+    return this.modes.find(mode => mode.id === id)?.name || id;
+  }
+
+  /**
+   * Redraw everything for the selected mode
+   * @private
+   */
+  _renderCharts() {
+    const sessions = this.modeId === ALL_MODES
+      ? this.sessions
+      : this.sessions.filter(session => session.mode === this.modeId);
+
+    this._renderSummary(sessions);
+
+    if (sessions.length === 0) {
+      const empty = '<p class="dashboard-empty">Finish an exercise to start your history.</p>';
+      this.elements.wpmChart.innerHTML = empty;
+      this.elements.accuracyChart.innerHTML = empty;
+      this.elements.timeChart.innerHTML = empty;
+      this.elements.glanceChart.innerHTML = empty;
+      this.elements.glanceKeysChart.innerHTML = empty;
+      return;
+    }
+
+    this.elements.wpmChart.innerHTML = trendChart(sessions, 'wpm', { unit: 'WPM' });
+    this.elements.accuracyChart.innerHTML = trendChart(sessions, 'accuracy', { unit: '%', max: 100 });
+    this.elements.timeChart.innerHTML = practiceChart(sessions);
+    this._renderGlances(sessions);
+  }
+
+  /**
+   * Glance charts, from the sessions typed with the camera on
+   * @private
+   */
+  _renderGlances(sessions) {
+    const tracked = sessions
+      .filter(session => Array.isArray(session.glances) && session.duration > 0)
+      .map(session => ({
+        ...session,
+        glancesPerMinute: Math.round((session.glances.length / (session.duration / 60)) * 10) / 10
+      }));
+
+    if (tracked.length === 0) {
+      const empty = '<p class="dashboard-empty">Practise with the camera on to see how often you look down.</p>';
+      this.elements.glanceChart.innerHTML = empty;
+      this.elements.glanceKeysChart.innerHTML = empty;
+      return;
+    }
+
+    this.elements.glanceChart.innerHTML = trendChart(tracked, 'glancesPerMinute', { unit: 'glances/min' });
+    this.elements.glanceKeysChart.innerHTML = glanceKeysChart(tracked)
+      || '<p class="dashboard-empty">No glances while typing yet - eyes up!</p>';
+  }
+
+  /**
+   * Totals line above the charts
+   * @private
+   */
+  _renderSummary(sessions) {
+    const seconds = sessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+    const best = sessions.reduce((max, session) => Math.max(max, session.wpm), 0);
+    const average = (key) => sessions.length
+      ? Math.round(sessions.reduce((sum, session) => sum + session[key], 0) / sessions.length)
+      : 0;
+
+    this.elements.summary.innerHTML = [
+      ['Sessions', sessions.length],
+      ['Practice', formatDuration(seconds)],
+      ['Avg WPM', average('wpm')],
+      ['Best WPM', best],
+      ['Avg accuracy', `${average('accuracy')}%`]
+    ].map(([label, value]) => `
+      <div class="dashboard-stat">
+        <span class="dashboard-stat-value">${value}</span>
+        <span class="dashboard-stat-label">${label}</span>
+      </div>
+    `).join('');
+  }
+}
+
+/**
+ * Flag each session that set a new WPM record for its mode
+ * @param {Array<Object>} sessions - Oldest first
+ * @returns {Array<Object>}
+ */
+function markPersonalBests(sessions) {
+  const bests = {};
+  return sessions.map(session => {
+    const personalBest = session.wpm > (bests[session.mode] || 0);
+    if (personalBest) {
+      bests[session.mode] = session.wpm;
+    }
+    return { ...session, personalBest };
+  });
+}
+
+/**
+ * Trailing average of the last `size` values at each point
+ * @param {Array<number>} values
+ * @param {number} size
+ * @returns {Array<number>}
+ */
+function movingAverage(values, size) {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= size) {
+      sum -= values[i - size];
+    }
+    return sum / Math.min(i + 1, size);
+  });
+}
+
+/**
+ * Line chart of one stat per session, with its moving average and
+ * personal-best markers
+ * @param {Array<Object>} sessions - Oldest first
+ * @param {string} key - Session field to plot
+ * @param {Object} options - { unit, max }
+ * @returns {string} SVG markup
+ */
+function trendChart(sessions, key, { unit, max }) {
+  const values = sessions.map(session => session[key] || 0);
+  const average = movingAverage(values, MOVING_AVERAGE);
+  const top = max || niceMax(Math.max(...values));
+  const bottom = max ? Math.min(niceMin(Math.min(...values)), max - 10) : 0;
+
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  const x = (i) => padLeft + (sessions.length > 1 ? (i / (sessions.length - 1)) * (width - padLeft - padRight) : (width - padLeft - padRight) / 2);
+  const y = (value) => padTop + (1 - (value - bottom) / (top - bottom || 1)) * (height - padTop - padBottom);
+  const path = (series) => series.map((value, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+  const points = sessions.map((session, i) => {
+    const title = `${new Date(session.timestamp).toLocaleString()} · ${values[i]} ${unit}`;
+    const best = key === 'wpm' && session.personalBest;
+    return `<circle class="chart-point${best ? ' best' : ''}" cx="${x(i).toFixed(1)}" cy="${y(values[i]).toFixed(1)}" r="${best ? 4 : 2}"><title>${best ? 'Personal best · ' : ''}${title}</title></circle>`;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${unit} per session">
+      ${gridLines(bottom, top, y, unit)}
+      <path class="chart-line" d="${path(values)}"></path>
+      <path class="chart-average" d="${path(average)}"></path>
+      ${points}
+      <text class="chart-label" x="${padLeft}" y="${height - 4}">${formatDate(sessions[0].timestamp)}</text>
+      <text class="chart-label" x="${width - padRight}" y="${height - 4}" text-anchor="end">${formatDate(sessions[sessions.length - 1].timestamp)}</text>
+    </svg>
+  `;
+}
+
+/**
+ * Bar chart of minutes practised on each of the last DAYS_SHOWN days
+ * @param {Array<Object>} sessions
+ * @returns {string} SVG markup
+ */
+function practiceChart(sessions) {
+  const minutesByDay = new Map();
+  sessions.forEach(session => {
+    const day = dayKey(new Date(session.timestamp));
+    minutesByDay.set(day, (minutesByDay.get(day) || 0) + (session.duration || 0) / 60);
+  });
+
+  const days = [];
+  const date = new Date();
+  date.setDate(date.getDate() - (DAYS_SHOWN - 1));
+  for (let i = 0; i < DAYS_SHOWN; i++) {
+    days.push({ date: new Date(date), minutes: minutesByDay.get(dayKey(date)) || 0 });
+    date.setDate(date.getDate() + 1);
+  }
+
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  const top = niceMax(Math.max(...days.map(day => day.minutes)));
+  const y = (value) => padTop + (1 - value / top) * (height - padTop - padBottom);
+  const slot = (width - padLeft - padRight) / DAYS_SHOWN;
+
+  const bars = days.map((day, i) => {
+    const barTop = y(day.minutes);
+    return `<rect class="chart-bar" x="${(padLeft + i * slot + 1).toFixed(1)}" y="${barTop.toFixed(1)}" width="${(slot - 2).toFixed(1)}" height="${(height - padBottom - barTop).toFixed(1)}"><title>${day.date.toLocaleDateString()} · ${formatDuration(day.minutes * 60)}</title></rect>`;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Minutes practised per day">
+      ${gridLines(0, top, y, 'min')}
+      ${bars}
+      <text class="chart-label" x="${padLeft}" y="${height - 4}">${formatDate(days[0].date)}</text>
+      <text class="chart-label" x="${width - padRight}" y="${height - 4}" text-anchor="end">Today</text>
+    </svg>
+  `;
+}
+
+/**
+ * Bar chart of the keys most often typed right after a glance down -
+ * the keys the user has not memorized yet
+ * @param {Array<Object>} sessions - Sessions with glances
+ * @returns {string} SVG markup, empty if no glance was followed by a key
+ */
+function glanceKeysChart(sessions) {
+  const keys = new Map();
+  sessions.forEach(session => session.glances.forEach(({ char, precededError }) => {
+    if (char === null || char === undefined) return;
+    const key = keys.get(char) || { char, glances: 0, errors: 0 };
+    key.glances++;
+    if (precededError) key.errors++;
+    keys.set(char, key);
+  }));
+  if (keys.size === 0) return '';
+
+  const shown = [...keys.values()].sort((a, b) => b.glances - a.glances).slice(0, GLANCE_KEYS_SHOWN);
+
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  const top = niceMax(shown[0].glances);
+  const y = (value) => padTop + (1 - value / top) * (height - padTop - padBottom);
+  const slot = (width - padLeft - padRight) / GLANCE_KEYS_SHOWN;
+
+  const bars = shown.map((key, i) => {
+    const barTop = y(key.glances);
+    const label = key.char === ' ' ? '␣' : key.char;
+    const title = `${label} · ${key.glances} glance${key.glances === 1 ? '' : 's'} · ${key.errors} before an error`;
+    return `
+      <rect class="chart-bar" x="${(padLeft + i * slot + 2).toFixed(1)}" y="${barTop.toFixed(1)}" width="${(slot - 4).toFixed(1)}" height="${(height - padBottom - barTop).toFixed(1)}"><title>${escapeHtml(title)}</title></rect>
+      <text class="chart-label" x="${(padLeft + (i + 0.5) * slot).toFixed(1)}" y="${height - 6}" text-anchor="middle">${escapeHtml(label)}</text>
+    `;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Glances before each key">
+      ${gridLines(0, top, y, 'glances')}
+      ${bars}
+    </svg>
+  `;
+}
+
+/**
+ * Horizontal grid lines with value labels
+ * @returns {string} SVG markup
+ */
+function gridLines(bottom, top, y, unit) {
+  return [bottom, (bottom + top) / 2, top].map(value => `
+    <line class="chart-grid" x1="${CHART.padLeft}" x2="${CHART.width - CHART.padRight}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"></line>
+    <text class="chart-label" x="${CHART.padLeft - 4}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${Math.round(value)}${unit === '%' ? '%' : ''}</text>
+  `).join('');
+}
+
+/**
+ * Round an axis maximum up to a tidy number
+ * @param {number} value
+ * @returns {number}
+ */
+function niceMax(value) {
+  if (value <= 0) return 10;
+  const step = value > 50 ? 20 : value > 10 ? 10 : 5;
+  return Math.ceil(value / step) * step;
+}
+
+/**
+ * Round an axis minimum down to a multiple of ten
+ * @param {number} value
+ * @returns {number}
+ */
+function niceMin(value) {
+  return Math.max(0, Math.floor(value / 10) * 10);
+}
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Short date for axis labels
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Format seconds as e.g. "1h 05m" or "12m"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -3,44 +3,28 @@
  * Virtual keyboard visualization component
  */
 import { eventBus, Events } from '../core/EventEmitter.js';
+import { layoutManager } from '../managers/LayoutManager.js';
 
 export class Keyboard {
-  constructor(container, fingerGuideContainer = null) {
+  /**
+   * @param {HTMLElement} container
+   * @param {HTMLElement} [fingerGuideContainer]
+   * @param {Object} [options]
+   * @param {boolean} [options.live=true] - Follow live typing and layout changes;
+   *   off for a keyboard its owner drives (e.g. the replay player)
+   */
+  constructor(container, fingerGuideContainer = null, { live = true } = {}) {
     this.container = container;
     this.fingerGuideContainer = fingerGuideContainer;
     this.keys = new Map();
     this.visible = true;
     
-    // Keyboard layout
-    this.layout = [
-      ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
-      ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P', '[', ']', '\\'],
-      ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', ';', "'"],
-      ['Z', 'X', 'C', 'V', 'B', 'N', 'M', ',', '.', '/'],
-      [' ']
-    ];
-
-    // Home row keys (have tactile bumps on F and J)
-    this.homeKeys = new Set(['A', 'S', 'D', 'F', 'J', 'K', 'L', ';']);
-
-    // Finger assignments for guide
-    this.fingerAssignments = {
-      left: {
-        pinky: ['`', '1', 'Q', 'A', 'Z'],
-        ring: ['2', 'W', 'S', 'X'],
-        middle: ['3', 'E', 'D', 'C'],
-        index: ['4', '5', 'R', 'T', 'F', 'G', 'V', 'B']
-      },
-      right: {
-        index: ['6', '7', 'Y', 'U', 'H', 'J', 'N', 'M'],
-        middle: ['8', 'I', 'K', ','],
-        ring: ['9', 'O', 'L', '.'],
-        pinky: ['0', '-', '=', 'P', '[', ']', '\\', ';', "'", '/']
-      },
-      thumb: [' ']
-    };
+    // Active layout (see LayoutManager); keys are stored by physical code
+    this.layout = layoutManager.getActive();
 
-    this._setupEventListeners();
+    if (live) {
+      this._setupEventListeners();
+    }
   }
 
   /**
@@ -59,6 +43,33 @@ export class Keyboard {
     eventBus.on(Events.KEY_ERROR, ({ key }) => {
       this.highlightKey(key, true);
     });
+
+    eventBus.on(Events.LAYOUT_CHANGED, ({ layout }) => {
+      this.setLayout(layout);
+    });
+  }
+
+  /**
+   * Switch to another layout and redraw
+   * @param {Object} layout - Compiled layout from LayoutManager
+   */
+  setLayout(layout) {
+    this.layout = layout;
+    this.render();
+  }
+
+  /**
+   * Find the key element that types a character
+   * @private
+   * @param {string} char - Character, or a modifier's KeyboardEvent.code
+   * @returns {HTMLElement|undefined}
+   */
+  _getKeyElement(char) {
+    if (!char) return undefined;
+    if (this.layout.modifiers.has(char)) return this.keys.get(char);
+
+    const position = layoutManager.findKey(char, this.layout);
+    return position ? this.keys.get(position.code) : undefined;
   }
 
   /**
@@ -68,13 +79,15 @@ export class Keyboard {
     this.container.innerHTML = '';
     this.keys.clear();
 
-    this.layout.forEach((row, rowIndex) => {
+    this.container.dataset.geometry = this.layout.geometry;
+
+    this.layout.rows.forEach((row, rowIndex) => {
       const rowEl = document.createElement('div');
       rowEl.className = 'keyboard-row';
 
       row.forEach(key => {
         const keyEl = this._createKeyElement(key);
-        this.keys.set(key.toUpperCase(), keyEl);
+        this.keys.set(key.code, keyEl);
         rowEl.appendChild(keyEl);
       });
 
@@ -94,23 +107,51 @@ export class Keyboard {
   _createKeyElement(key) {
     const keyEl = document.createElement('div');
     keyEl.className = 'key';
-    keyEl.dataset.key = key;
+    keyEl.dataset.code = key.code;
+    keyEl.dataset.label = this._getKeyLabel(key);
     
-    // Display character
-    keyEl.textContent = key === ' ' ? '␣' : key;
+    // Display character - symbol keys show their shifted character above
+    if (!key.modifier && key.shift !== key.base && key.shift !== key.base.toUpperCase()) {
+      const shiftEl = document.createElement('span');
+      shiftEl.className = 'key-shift';
+      shiftEl.textContent = key.shift;
+
+      const baseEl = document.createElement('span');
+      baseEl.className = 'key-base';
+      baseEl.textContent = key.base;
+
+      keyEl.classList.add('dual');
+      keyEl.append(shiftEl, baseEl);
+    } else {
+      keyEl.textContent = keyEl.dataset.label;
+    }
 
     // Add special classes
-    if (key === ' ') {
+    if (key.code === 'Space') {
       keyEl.classList.add('space');
     }
+
+    if (key.modifier) {
+      keyEl.classList.add('modifier', key.size);
+    }
     
-    if (this.homeKeys.has(key)) {
+    if (this.layout.homeKeys.has(key.code)) {
       keyEl.classList.add('home-key');
     }
 
     return keyEl;
   }
 
+  /**
+   * Text shown on a key - letters as capitals, like a real keycap
+   * @private
+   */
+  _getKeyLabel(key) {
+    if (key.modifier) return key.label;
+    if (key.code === 'Space') return '␣';
+    return key.shift === key.base.toUpperCase() ? key.shift : key.base;
+  }
+
   /**
    * Render finger guide below keyboard
    * @private
@@ -144,8 +185,7 @@ export class Keyboard {
    * @param {boolean} isError - Whether it's an error
    */
   highlightKey(char, isError = false) {
-    const key = char.toUpperCase();
-    const keyEl = this.keys.get(key);
+    const keyEl = this._getKeyElement(char);
     
     if (keyEl) {
       const className = isError ? 'error' : 'active';
@@ -159,6 +199,7 @@ export class Keyboard {
 
   /**
    * Show specific key as the next expected key
+   * Shifted characters also light the Shift key on the opposite hand
    * @param {string} char - Expected character
    */
   showExpectedKey(char) {
@@ -167,42 +208,130 @@ export class Keyboard {
       keyEl.classList.remove('expected');
     });
 
-    const key = char?.toUpperCase();
-    const keyEl = this.keys.get(key);
+    const keyEl = this._getKeyElement(char);
     
     if (keyEl) {
       keyEl.classList.add('expected');
     }
+
+    const shiftEl = this.keys.get(layoutManager.getShiftKey(char, this.layout));
+    if (shiftEl) {
+      shiftEl.classList.add('expected');
+    }
   }
 
   /**
-   * Get finger assignment for a key
-   * @param {string} key - Key character
-   * @returns {Object|null} Finger info
+   * The Shift key that should be used for a character
+   * @param {string} char
+   * @returns {string|null} 'ShiftLeft', 'ShiftRight' or null
    */
-  getFingerForKey(key) {
-    const upperKey = key.toUpperCase();
-    
-    // Check left hand
-    for (const [finger, keys] of Object.entries(this.fingerAssignments.left)) {
-      if (keys.includes(upperKey)) {
-        return { hand: 'left', finger };
+  getShiftKeyFor(char) {
+    return layoutManager.getShiftKey(char, this.layout);
+  }
+
+  /**
+   * Dim every key outside the current lesson
+   * @param {Array<string>|null} keys - Allowed characters, or null to enable all
+   * @param {Array<string>} [newKeys] - Keys the lesson introduces, highlighted
+   */
+  setAllowedKeys(keys, newKeys = []) {
+    const allowed = keys ? new Set([...keys, ' '].map(key => this._getKeyElement(key))) : null;
+    const introduced = new Set(newKeys.map(key => this._getKeyElement(key)));
+
+    this.keys.forEach(keyEl => {
+      keyEl.classList.toggle('dimmed', Boolean(allowed) && !allowed.has(keyEl));
+      keyEl.classList.toggle('new-key', introduced.has(keyEl));
+    });
+  }
+
+  /**
+   * Color every key by its error rate or average latency
+   * Shifted and AltGr characters count towards their key (e.g. 'a' and 'A')
+   * @param {Object|null} totals - char -> totals from KeyStatsManager.getCharTotals, or null to clear
+   * @param {Object} [options]
+   * @param {string} [options.metric] - 'errors' or 'latency'
+   * @returns {Object|null} Legend scale { min, max } in the metric's unit
+   *   (percent or ms), or null if nothing was colored
+   */
+  setHeatmap(totals, { metric = 'errors' } = {}) {
+    this.keys.forEach(keyEl => {
+      keyEl.classList.remove('heat');
+      keyEl.style.removeProperty('--heat');
+      keyEl.removeAttribute('title');
+    });
+    if (!totals) return null;
+
+    // Merge characters that share a physical key
+    const perKey = new Map();
+    Object.entries(totals).forEach(([char, stats]) => {
+      const key = layoutManager.findKey(char, this.layout)?.code;
+      if (!this.keys.has(key)) return;
+
+      const merged = perKey.get(key) || { attempts: 0, misses: 0, latencyTotal: 0, latencySamples: 0, confusions: {} };
+      merged.attempts += stats.attempts;
+      merged.misses += stats.misses;
+      if (stats.avgLatency !== null) {
+        merged.latencyTotal += stats.avgLatency * stats.latencySamples;
+        merged.latencySamples += stats.latencySamples;
       }
-    }
+      if (stats.topConfusion) {
+        const typed = stats.topConfusion.char;
+        merged.confusions[typed] = (merged.confusions[typed] || 0) + stats.topConfusion.count;
+      }
+      perKey.set(key, merged);
+    });
 
-    // Check right hand
-    for (const [finger, keys] of Object.entries(this.fingerAssignments.right)) {
-      if (keys.includes(upperKey)) {
-        return { hand: 'right', finger };
+    const values = new Map();
+    perKey.forEach((stats, key) => {
+      if (metric === 'latency') {
+        if (stats.latencySamples > 0) values.set(key, stats.latencyTotal / stats.latencySamples);
+      } else if (stats.attempts > 0) {
+        values.set(key, (stats.misses / stats.attempts) * 100);
       }
-    }
+    });
+    if (values.size === 0) return null;
 
-    // Check thumb
-    if (this.fingerAssignments.thumb.includes(upperKey)) {
-      return { hand: 'either', finger: 'thumb' };
-    }
+    // Errors are colored on a fixed scale so 0% is always green;
+    // latency is relative to the typist's own fastest and slowest keys
+    const min = metric === 'latency' ? Math.min(...values.values()) : 0;
+    const max = metric === 'latency'
+      ? Math.max(...values.values())
+      : Math.max(10, ...values.values());
 
-    return null;
+    values.forEach((value, key) => {
+      const keyEl = this.keys.get(key);
+      const ratio = max > min ? (value - min) / (max - min) : 0;
+      keyEl.classList.add('heat');
+      keyEl.style.setProperty('--heat', heatColor(ratio));
+    });
+
+    perKey.forEach((stats, key) => {
+      const keyEl = this.keys.get(key);
+      const [typed] = Object.entries(stats.confusions).sort((a, b) => b[1] - a[1])[0] || [];
+      const lines = [
+        `${key === 'Space' ? 'Space' : keyEl.dataset.label}: ${stats.attempts} attempts, ${stats.misses} misses ` +
+          `(${((stats.misses / stats.attempts) * 100).toFixed(1)}%)`
+      ];
+      if (stats.latencySamples > 0) {
+        lines.push(`Average ${Math.round(stats.latencyTotal / stats.latencySamples)} ms`);
+      }
+      if (typed !== undefined) {
+        lines.push(`Most often typed as "${typed === ' ' ? 'Space' : typed}"`);
+      }
+      keyEl.title = lines.join('\n');
+    });
+
+    return { min: Math.round(min), max: Math.round(max) };
+  }
+
+  /**
+   * Get finger assignment for a key
+   * @param {string} key - Key character
+   * @returns {Object|null} Finger info
+   */
+  getFingerForKey(key) {
+    const position = layoutManager.findKey(key, this.layout);
+    return position ? layoutManager.getFinger(position.code) : null;
   }
 
   /**
@@ -231,3 +360,13 @@ export class Keyboard {
     });
   }
 }
+
+/**
+ * Heatmap color from green (0) through yellow to red (1)
+ * @param {number} ratio - 0 to 1
+ * @returns {string} CSS color
+ */
+function heatColor(ratio) {
+  const hue = Math.round(120 * (1 - Math.min(1, Math.max(0, ratio))));
+  return `hsla(${hue}, 80%, 45%, 0.6)`;
+}
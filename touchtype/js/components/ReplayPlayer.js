@@ -0,0 +1,246 @@
+/**
+ * ReplayPlayer Class
+ * Plays a recorded exercise back through its own TextDisplay and Keyboard,
+ * with speed control, scrubbing and a timeline of notable moments
+ */
+import { TextDisplay } from './TextDisplay.js';
+import { Keyboard } from './Keyboard.js';
+import { layoutManager } from '../managers/LayoutManager.js';
+import { textNormalizer } from '../utils/TextNormalizer.js';
+
+// Gaps between keystrokes longer than this are shown as pauses (ms)
+const PAUSE_THRESHOLD = 1000;
+
+// Long texts are windowed like streamed exercises
+const REPLAY_WINDOW = { size: 240, step: 60 };
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} elements - { text, keyboard, playBtn, speed, scrubber, time, timeline }
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.textDisplay = new TextDisplay(elements.text);
+    // Driven by the replay only - not by live typing
+    this.keyboard = new Keyboard(elements.keyboard, null, { live: false });
+
+    this.replay = null;
+    this.duration = 0;
+    this.position = 0;      // ms into the replay
+    this.speed = 1;
+    this.isPlaying = false;
+
+    // Reconstructed exercise state at `position`
+    this._typed = '';
+    this._applied = 0;      // keystrokes applied so far
+    this._frame = null;
+    this._lastFrameTime = null;
+
+    this._setupControls();
+  }
+
+  /**
+   * Setup control listeners
+   * @private
+   */
+  _setupControls() {
+    this.elements.playBtn.addEventListener('click', () => {
+      this.isPlaying ? this.pause() : this.play();
+    });
+
+    this.elements.speed.addEventListener('change', (e) => {
+      this.setSpeed(parseFloat(e.target.value));
+    });
+
+    this.elements.scrubber.addEventListener('input', (e) => {
+      this.seek(parseFloat(e.target.value));
+    });
+  }
+
+  /**
+   * Load a replay and rewind to the start
+   * @param {Object} replay - From ReplayManager
+   */
+  load(replay) {
+    this.pause();
+    this.replay = replay;
+
+    const lastKeystroke = replay.keystrokes[replay.keystrokes.length - 1];
+    this.duration = Math.max(lastKeystroke ? lastKeystroke[0] : 0, (replay.stats?.timeElapsed || 0) * 1000);
+
+    this.keyboard.setLayout(layoutManager.getActive());
+    this.textDisplay.setMode(replay.mode);
+    this.textDisplay.setWindow(replay.text.length > REPLAY_WINDOW.size ? REPLAY_WINDOW : null);
+    this.elements.scrubber.max = this.duration;
+
+    this._renderTimeline();
+    this.seek(0);
+  }
+
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (!this.replay) return;
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+
+    this.isPlaying = true;
+    this._lastFrameTime = null;
+    this.elements.playBtn.textContent = 'Pause';
+    this._frame = requestAnimationFrame((time) => this._tick(time));
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this._frame) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+    this.elements.playBtn.textContent = 'Play';
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} speed - 0.5 to 4
+   */
+  setSpeed(speed) {
+    this.speed = Math.min(4, Math.max(0.5, speed || 1));
+  }
+
+  /**
+   * Jump to a point in the replay
+   * @param {number} position - ms from the start
+   */
+  seek(position) {
+    if (!this.replay) return;
+
+    // Going backwards means rebuilding from the start
+    if (position < this.position) {
+      this._typed = '';
+      this._applied = 0;
+    }
+    this.position = Math.min(this.duration, Math.max(0, position));
+    this._applyUntil(this.position, { animate: false });
+    this._render();
+  }
+
+  /**
+   * Advance one animation frame
+   * @private
+   */
+  _tick(time) {
+    if (!this.isPlaying) return;
+
+    if (this._lastFrameTime !== null) {
+      this.position = Math.min(this.duration, this.position + (time - this._lastFrameTime) * this.speed);
+    }
+    this._lastFrameTime = time;
+
+    this._applyUntil(this.position, { animate: true });
+    this._render();
+
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this._frame = requestAnimationFrame((next) => this._tick(next));
+  }
+
+  /**
+   * Apply every keystroke up to a time
+   * @private
+   */
+  _applyUntil(position, { animate }) {
+    const keystrokes = this.replay.keystrokes;
+
+    while (this._applied < keystrokes.length && keystrokes[this._applied][0] <= position) {
+      const [, type, index, char, rejected] = keystrokes[this._applied];
+
+      if (type === 'd') {
+        this._typed = this._typed.slice(0, index);
+      } else if (!rejected) {
+        this._typed = this._typed.slice(0, index) + char;
+      }
+
+      if (animate && type === 'i') {
+        this.keyboard.highlightKey(char, !textNormalizer.matches(char, this.replay.text[index]));
+      }
+      this._applied++;
+    }
+  }
+
+  /**
+   * Draw the text, next key and time
+   * @private
+   */
+  _render() {
+    const text = this.replay.text;
+    const position = this._typed.length;
+    const { from = 0, to = text.length } = this.textDisplay.getVisibleRange(position, text);
+
+    const states = text.slice(from, to).split('').map((char, offset) => {
+      const index = from + offset;
+      let state = 'pending';
+
+      if (index < position) {
+        state = textNormalizer.matches(this._typed[index], char) ? 'correct' : 'incorrect';
+      } else if (index === position) {
+        state = 'current';
+      }
+
+      return { char, state, index };
+    });
+
+    this.textDisplay.render(states);
+    this.keyboard.showExpectedKey(text[position]);
+
+    this.elements.scrubber.value = this.position;
+    this.elements.time.textContent = `${formatTime(this.position)} / ${formatTime(this.duration)}`;
+  }
+
+  /**
+   * Mark errors, corrections, pauses and penalties along the timeline
+   * @private
+   */
+  _renderTimeline() {
+    const { keystrokes, text, penalties = [] } = this.replay;
+    const percent = (time) => (this.duration > 0 ? (time / this.duration) * 100 : 0);
+    const markers = [];
+
+    keystrokes.forEach(([time, type, index, char], i) => {
+      if (type === 'd') {
+        markers.push({ kind: 'correction', time });
+      } else if (!textNormalizer.matches(char, text[index])) {
+        markers.push({ kind: 'error', time });
+      }
+
+      const previous = keystrokes[i - 1];
+      if (previous && time - previous[0] > PAUSE_THRESHOLD) {
+        markers.push({ kind: 'pause', time: previous[0], length: time - previous[0] });
+      }
+    });
+
+    penalties.forEach(time => markers.push({ kind: 'penalty', time }));
+
+    this.elements.timeline.innerHTML = markers.map(({ kind, time, length }) => {
+      const width = length ? `width: ${percent(length)}%;` : '';
+      return `<span class="replay-marker ${kind}" style="left: ${percent(time)}%; ${width}" title="${kind} at ${formatTime(time)}"></span>`;
+    }).join('');
+  }
+}
+
+/**
+ * Format milliseconds as m:ss.t
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,291 @@
+/**
+ * ResultsPanel Class
+ * Breakdown of a finished exercise - speed over time, consistency,
+ * missed words, slowest keys, penalties and the XP award - with the
+ * choice of what to type next
+ */
+import { escapeHtml } from '../utils/html.js';
+
+// Keys listed as slowest, and how often each must have been typed
+const SLOWEST_KEYS = 5;
+const MIN_KEY_SAMPLES = 2;
+
+// Longer gaps are pauses, not slow keys
+const MAX_KEY_INTERVAL = 2000;
+
+// Words listed per group (all of them are still drilled)
+const WORDS_SHOWN = 12;
+
+// A finished word is slow below this share of the median word speed,
+// judged once enough words were finished
+const SLOW_WORD_RATIO = 0.6;
+const MIN_WORDS_FOR_SLOW = 5;
+
+// Sparkline drawing area (SVG user units)
+const SPARKLINE = { width: 300, height: 60, pad: 4 };
+
+export class ResultsPanel {
+  /**
+   * @param {Object} elements - { panel, summary, speedChart, details, xp, retryBtn, nextBtn, missedBtn }
+   * @param {Object} actions - { onRetry, onNext, onPracticeMissed }
+   */
+  constructor(elements, actions) {
+    this.elements = elements;
+    this.actions = actions;
+    // Missed and slow words of the shown exercise, drilled on request
+    this.drillWords = [];
+
+    this.elements.retryBtn.addEventListener('click', () => this.actions.onRetry());
+    this.elements.nextBtn.addEventListener('click', () => this.actions.onNext());
+    this.elements.missedBtn.addEventListener('click', () => this.actions.onPracticeMissed(this.drillWords));
+  }
+
+  /**
+   * Show the results of an exercise
+   * @param {Object} result - { stats, penalties, xp }
+   *   stats is the TYPING_COMPLETE payload, penalties come from
+   *   PenaltyManager and xp from ScoreCalculator (null if no XP was awarded)
+   */
+  show({ stats, penalties = [], xp = null }) {
+    const keystrokes = stats.keystrokes || [];
+    const timeline = speedTimeline(keystrokes);
+    const { missed, slow } = pickDrillWords(stats.words || []);
+    this.drillWords = [...missed, ...slow];
+
+    const summary = [
+      ['WPM', stats.wpm],
+      ['Raw WPM', stats.rawWpm],
+      ['Accuracy', `${stats.accuracy}%`],
+      ['Consistency', timeline.consistency === null ? '—' : `${timeline.consistency}%`],
+      ['Time', formatTime(stats.timeElapsed * 1000)],
+      ['Errors', `${stats.uncorrectedErrors} left · ${stats.correctedErrors} fixed`]
+    ];
+    this.elements.summary.innerHTML = summary.map(([label, value]) => `
+      <div class="results-stat">
+        <div class="results-stat-value">${value}</div>
+        <div class="results-stat-label">${label}</div>
+      </div>
+    `).join('');
+
+    this.elements.speedChart.innerHTML = timeline.wpm.length > 1
+      ? sparkline(timeline.wpm)
+      : '<div class="results-empty">Too short to chart</div>';
+
+    this.elements.details.innerHTML = [
+      this._renderSection('Missed words', missed.slice(0, WORDS_SHOWN).map(word =>
+        `<span class="results-word">${escapeHtml(word)}</span>`)),
+      this._renderSection('Slow words', slow.slice(0, WORDS_SHOWN).map(word =>
+        `<span class="results-word slow">${escapeHtml(word)}</span>`)),
+      this._renderSection('Slowest keys', findSlowestKeys(stats.text, keystrokes).map(({ key, interval }) =>
+        `<span><kbd>${key === ' ' ? 'Space' : escapeHtml(key)}</kbd> ${interval}ms</span>`)),
+      this._renderSection('Look-down penalties', penalties.map(({ time, xpLost }) =>
+        `<span>${formatTime(time)}${xpLost ? ` <span class="deduction">−${xpLost} XP</span>` : ''}</span>`))
+    ].join('');
+
+    this._renderXP(xp, stats.pasted);
+    this.elements.missedBtn.disabled = this.drillWords.length === 0;
+    this.elements.panel.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.elements.panel.classList.add('hidden');
+    this.drillWords = [];
+  }
+
+  /**
+   * Check if results are on screen
+   * @returns {boolean}
+   */
+  isVisible() {
+    return !this.elements.panel.classList.contains('hidden');
+  }
+
+  /**
+   * Handle the panel's keyboard shortcuts
+   * Enter/N - next text, R - retry the same text, M - drill missed and slow words
+   * @param {KeyboardEvent} e
+   * @returns {boolean} True if the key was used
+   */
+  handleKey(e) {
+    if (!this.isVisible() || e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    switch (e.key.toLowerCase()) {
+      case 'enter':
+      case 'n':
+        this.actions.onNext();
+        return true;
+      case 'r':
+        this.actions.onRetry();
+        return true;
+      case 'm':
+        if (this.drillWords.length === 0) return false;
+        this.actions.onPracticeMissed(this.drillWords);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Titled list for the details area
+   * @private
+   * @param {string} title
+   * @param {Array<string>} items - HTML for each entry
+   * @returns {string}
+   */
+  _renderSection(title, items) {
+    return `
+      <div class="results-section">
+        <div class="results-label">${title}</div>
+        <div class="results-list">${items.length > 0 ? items.join('') : '<span class="results-empty">None</span>'}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show how the XP was worked out
+   * @private
+   * @param {Object|null} xp - From ScoreCalculator
+   * @param {boolean} pasted - The run was pasted, so it earned nothing
+   */
+  _renderXP(xp, pasted) {
+    const breakdown = this.elements.xp;
+    if (!xp) {
+      breakdown.innerHTML = pasted ? '<span class="deduction">Pasted text - no XP awarded</span>' : '';
+      return;
+    }
+
+    const parts = [
+      `<span>${xp.base} base</span>`,
+      `<span>× ${Math.round(xp.accuracyMultiplier * 100)}% accuracy</span>`
+    ];
+    if (xp.eyesUpBonus > 0) {
+      parts.push(`<span class="bonus">+ ${xp.eyesUpBonus} eyes-up bonus</span>`);
+    }
+    if (xp.penaltyDeduction > 0) {
+      parts.push(`<span class="deduction">− ${xp.penaltyDeduction} for ${xp.penalties} look${xp.penalties === 1 ? '' : 's'} down</span>`);
+    }
+
+    breakdown.innerHTML = `<strong>+${xp.total} XP</strong> = ${parts.join(' ')}`;
+  }
+}
+
+/**
+ * Speed second by second
+ * wpm is the running net WPM at the end of each second; consistency is
+ * 100 minus the coefficient of variation (%) of the raw WPM typed within
+ * each second, or null with fewer than two full seconds
+ * @param {Array<Object>} keystrokes - From TypingEngine
+ * @returns {Object} { wpm, consistency }
+ */
+function speedTimeline(keystrokes) {
+  const inserts = keystrokes.filter(keystroke => keystroke.type === 'insert' && !keystroke.rejected);
+  if (inserts.length === 0) return { wpm: [], consistency: null };
+
+  const seconds = Math.max(1, Math.ceil(inserts[inserts.length - 1].time / 1000));
+  const typed = new Array(seconds).fill(0);
+  const correct = new Array(seconds).fill(0);
+  inserts.forEach(keystroke => {
+    const second = Math.min(seconds - 1, Math.floor(keystroke.time / 1000));
+    typed[second]++;
+    if (keystroke.isCorrect) correct[second]++;
+  });
+
+  let correctSoFar = 0;
+  const wpm = correct.map((count, i) => {
+    correctSoFar += count;
+    return Math.round((correctSoFar / 5) / ((i + 1) / 60));
+  });
+
+  // The last second is usually partial, so it is left out
+  const raw = typed.slice(0, -1).map(count => (count / 5) * 60);
+  let consistency = null;
+  if (raw.length >= 2) {
+    const mean = raw.reduce((sum, value) => sum + value, 0) / raw.length;
+    const deviation = Math.sqrt(raw.reduce((sum, value) => sum + (value - mean) ** 2, 0) / raw.length);
+    consistency = mean > 0 ? Math.max(0, Math.round(100 - (deviation / mean) * 100)) : 0;
+  }
+
+  return { wpm, consistency };
+}
+
+/**
+ * Words worth drilling: any typed with an error, and finished words typed
+ * well below the typist's usual word speed in this exercise
+ * @param {Array<Object>} words - TypingEngine word stats
+ * @returns {Object} { missed, slow } - Distinct words, in text order
+ */
+function pickDrillWords(words) {
+  const missed = new Set(words.filter(word => word.errors > 0).map(word => word.word));
+
+  const timed = words.filter(word => word.complete && word.wpm !== null);
+  const slow = new Set();
+  if (timed.length >= MIN_WORDS_FOR_SLOW) {
+    const speeds = timed.map(word => word.wpm).sort((a, b) => a - b);
+    const median = speeds[Math.floor(speeds.length / 2)];
+    timed
+      .filter(word => word.wpm < median * SLOW_WORD_RATIO && !missed.has(word.word))
+      .forEach(word => slow.add(word.word));
+  }
+
+  return { missed: [...missed], slow: [...slow] };
+}
+
+/**
+ * Keys with the longest average time since the previous keystroke
+ * @param {string} text - Text of the exercise
+ * @param {Array<Object>} keystrokes
+ * @returns {Array<Object>} [{ key, interval }], slowest first
+ */
+function findSlowestKeys(text, keystrokes) {
+  const totals = new Map();
+  keystrokes.forEach(keystroke => {
+    if (keystroke.type !== 'insert' || !keystroke.isCorrect) return;
+    if (!(keystroke.interval > 0) || keystroke.interval > MAX_KEY_INTERVAL) return;
+
+    const key = text[keystroke.position];
+    const total = totals.get(key) || { sum: 0, count: 0 };
+    total.sum += keystroke.interval;
+    total.count++;
+    totals.set(key, total);
+  });
+
+  return [...totals.entries()]
+    .filter(([, { count }]) => count >= MIN_KEY_SAMPLES)
+    .map(([key, { sum, count }]) => ({ key, interval: Math.round(sum / count) }))
+    .sort((a, b) => b.interval - a.interval)
+    .slice(0, SLOWEST_KEYS);
+}
+
+/**
+ * Line chart of WPM over the exercise
+ * @param {Array<number>} values - WPM per second
+ * @returns {string} SVG markup
+ */
+function sparkline(values) {
+  const { width, height, pad } = SPARKLINE;
+  const top = Math.max(...values) || 1;
+  const x = (i) => pad + (i / (values.length - 1)) * (width - pad * 2);
+  const y = (value) => pad + (1 - value / top) * (height - pad * 2);
+  const path = values.map((value, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+  return `
+    <svg class="chart results-sparkline" viewBox="0 0 ${width} ${height}" role="img" aria-label="WPM over time">
+      <path class="chart-line" d="${path}"><title>Peak ${top} WPM</title></path>
+    </svg>
+  `;
+}
+
+/**
+ * Format milliseconds as m:ss.t
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
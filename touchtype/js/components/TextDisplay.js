@@ -9,6 +9,39 @@ export class TextDisplay {
     this.container = container;
     this.currentMode = 'standard';
     this.penaltyActive = false;
+
+    // Sliding window for streamed text (null = render everything)
+    this.window = null;
+  }
+
+  /**
+   * Limit rendering to a window around the cursor
+   * The window jumps a line's worth of characters at a time so the text
+   * does not shift under the cursor on every keystroke
+   * @param {Object|null} window - { size, step } in characters, or null
+   */
+  setWindow(window) {
+    this.window = window;
+  }
+
+  /**
+   * Get the part of the text that should be rendered
+   * @param {number} position - Current cursor position
+   * @param {string} text - Full exercise text
+   * @returns {Object} { from, to } range, empty when not windowed
+   */
+  getVisibleRange(position, text) {
+    if (!this.window) return {};
+
+    const { size, step } = this.window;
+    let from = Math.max(0, Math.floor(position / step) * step - step);
+
+    // Start on a word boundary
+    if (from > 0) {
+      from = text.lastIndexOf(' ', from) + 1;
+    }
+
+    return { from, to: Math.min(text.length, from + size) };
   }
 
   /**
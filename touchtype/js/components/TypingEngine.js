@@ -3,6 +3,28 @@
  * Core typing logic - text management, input handling, statistics
  */
 import { eventBus, Events } from '../core/EventEmitter.js';
+import { textNormalizer } from '../utils/TextNormalizer.js';
+
+/**
+ * What the typist may do after a mistake
+ */
+export const CorrectionPolicy = {
+  FREE: 'free',           // Backspace anywhere
+  NONE: 'none',           // No backspace at all
+  WORD: 'word',           // Backspace only within the current word
+  STOP_ON_ERROR: 'stop'   // Wrong characters are refused; cursor waits
+};
+
+// InputEvent types that insert text the user did not type. Multi-character
+// inserts of other types (typing over a selection, IME composition,
+// autocorrect) are still typing
+const PASTE_INPUT_TYPES = new Set(['insertFromPaste', 'insertFromPasteAsQuotation', 'insertFromDrop', 'insertFromYank']);
+
+// Request more text from the source when fewer characters than this remain
+const TEXT_LOOKAHEAD = 80;
+
+// Countdown tick interval (ms)
+const TICK_INTERVAL = 100;
 
 export class TypingEngine {
   constructor() {
@@ -10,12 +32,23 @@ export class TypingEngine {
     this.typedText = '';
     this.startTime = null;
     this.endTime = null;
+
+    // Timed tests and streamed text
+    this.timeLimit = null;
+    this.textSource = null;
+    this._timer = null;
     
-    // Statistics
-    this.totalChars = 0;
-    this.correctChars = 0;
-    this.errors = 0;
+    // Keystroke log - every statistic is derived from this
+    this.keystrokes = [];
+    this._furthestPosition = 0;
+    this.pasteDetected = false;
     
+    // Configuration
+    this.config = {
+      correctionPolicy: CorrectionPolicy.FREE,
+      pastePolicy: 'reject'  // 'reject' or 'flag'
+    };
+
     // State
     this.isTyping = false;
     this.isComplete = false;
@@ -25,74 +58,176 @@ export class TypingEngine {
   /**
    * Set new text for typing
    * @param {string} text - Text to type
+   * @param {Object} [options]
+   * @param {number} [options.timeLimit] - End the exercise after this many seconds
+   * @param {Iterator<string>} [options.source] - Yields more text to append as
+   *   the typist nears the end (see TextGenerator.createStream)
    */
-  setText(text) {
+  setText(text, { timeLimit = null, source = null } = {}) {
     this.reset();
-    this.currentText = text;
+    this.currentText = textNormalizer.normalize(text);
+    this.timeLimit = timeLimit;
+    this.textSource = source;
+    this._fillFromSource();
+  }
+
+  /**
+   * Append text to the end of the current exercise
+   * @param {string} text - Text to append (leading space is kept)
+   */
+  appendText(text) {
+    text = textNormalizer.normalize(text, { trim: false });
+    if (!text) return;
+    this.currentText += text;
+    eventBus.emit(Events.TYPING_TEXT_APPENDED, { text, length: this.currentText.length });
   }
 
   /**
    * Reset engine state
    */
   reset() {
+    this._stopTimer();
     this.typedText = '';
     this.startTime = null;
     this.endTime = null;
-    this.totalChars = 0;
-    this.correctChars = 0;
-    this.errors = 0;
+    this.keystrokes = [];
+    this._furthestPosition = 0;
+    this.pasteDetected = false;
     this.isTyping = false;
     this.isComplete = false;
     
     eventBus.emit(Events.TYPING_RESET);
   }
 
+  /**
+   * Get a high-resolution timestamp
+   * @private
+   * @returns {number} Milliseconds
+   */
+  _now() {
+    return performance.now();
+  }
+
   /**
    * Process typed input
    * @param {string} input - Current input value
-   * @returns {Object} Result of input processing
+   * @param {Object} [options]
+   * @param {string} [options.inputType] - InputEvent.inputType of the change
+   * @param {string|null} [options.shiftKey] - Code of the Shift key held while
+   *   typing ('ShiftLeft'/'ShiftRight'), if known
+   * @returns {Object} Result of input processing. `value` is the text the
+   *   input field should hold afterwards (differs from `input` when rejected)
    */
-  processInput(input) {
-    // Start timer on first input
-    if (!this.startTime && input.length > 0) {
-      this.startTime = Date.now();
-      this.isTyping = true;
-      eventBus.emit(Events.TYPING_START);
-    }
+  processInput(input, { inputType = '', shiftKey = null } = {}) {
+    const now = this._now();
 
     const result = {
       isCorrect: true,
       char: '',
       expectedChar: '',
+      keystrokes: [],
+      rejected: null,
+      value: input,
       stats: null
     };
 
-    // Check if new character was added
-    if (input.length > this.typedText.length) {
-      const newChar = input[input.length - 1];
-      const expectedChar = this.currentText[input.length - 1];
-      
-      result.char = newChar;
-      result.expectedChar = expectedChar;
-      result.isCorrect = newChar === expectedChar;
+    if (this.isComplete) {
+      return this._rejectInput(result, 'complete');
+    }
+
+    // The timer only checks every tick - input after the limit never counts
+    if (this.timeLimit && this.startTime !== null && now - this.startTime >= this.timeLimit * 1000) {
+      this.complete();
+      return this._rejectInput(result, 'complete');
+    }
+
+    // Find where the new input diverges from what was typed before
+    let common = 0;
+    const maxCommon = Math.min(input.length, this.typedText.length);
+    while (common < maxCommon && input[common] === this.typedText[common]) {
+      common++;
+    }
+
+    const deletedCount = this.typedText.length - common;
+    let inserted = input.slice(common);
+
+    // Pasted or dropped text never counts as typing
+    const isPaste = PASTE_INPUT_TYPES.has(inputType);
+    if (isPaste) {
+      const rejected = this.config.pastePolicy === 'reject';
+      eventBus.emit(Events.TYPING_PASTE, { length: inserted.length, rejected });
+      if (rejected) {
+        return this._rejectInput(result, 'paste');
+      }
+      this.pasteDetected = true;
+    }
+
+    if (deletedCount > 0 && !this._canDelete(common)) {
+      return this._rejectInput(result, 'correction');
+    }
 
-      this.totalChars++;
+    // Start timer on first input
+    if (!this.startTime && input.length > 0) {
+      this.startTime = now;
+      this.isTyping = true;
+      this._startTimer();
+      eventBus.emit(Events.TYPING_START);
+    }
+
+    // Characters removed (backspace, selection delete, paste over)
+    const deleted = [];
+    for (let pos = this.typedText.length - 1; pos >= common; pos--) {
+      deleted.push(this._recordKeystroke('delete', pos, this.typedText[pos], now));
+    }
+    if (deleted.length > 0) {
+      result.keystrokes.push(...deleted);
+      eventBus.emit(Events.TYPING_CORRECTION, { position: common, count: deleted.length, keystrokes: deleted });
+    }
+
+    // Characters added
+    for (let i = 0; i < inserted.length; i++) {
+      const pos = common + i;
+      const keystroke = this._recordKeystroke('insert', pos, inserted[i], now, { pasted: isPaste, shiftKey });
+      result.keystrokes.push(keystroke);
       
-      if (result.isCorrect) {
-        this.correctChars++;
-        eventBus.emit(Events.TYPING_INPUT, { correct: true, char: newChar });
-      } else {
-        this.errors++;
-        eventBus.emit(Events.TYPING_ERROR, { typed: newChar, expected: expectedChar });
-        eventBus.emit(Events.TYPING_INPUT, { correct: false, char: newChar });
+      result.char = keystroke.char;
+      result.expectedChar = keystroke.expected;
+      result.isCorrect = keystroke.isCorrect;
+
+      const payload = {
+        correct: keystroke.isCorrect,
+        char: keystroke.char,
+        expected: keystroke.expected,
+        previous: this.currentText.slice(Math.max(0, pos - 2), pos),
+        position: pos,
+        keystroke
+      };
+
+      if (!keystroke.isCorrect) {
+        eventBus.emit(Events.TYPING_ERROR, { typed: keystroke.char, expected: keystroke.expected, position: pos, keystroke });
+      }
+      eventBus.emit(Events.TYPING_INPUT, payload);
+
+      // Stop-on-error: the wrong character is counted but never enters the text
+      if (!keystroke.isCorrect && this.config.correctionPolicy === CorrectionPolicy.STOP_ON_ERROR) {
+        keystroke.rejected = true;
+        inserted = inserted.slice(0, i);
+        result.rejected = 'error';
+        eventBus.emit(Events.TYPING_REJECTED, { reason: 'error', position: pos });
+        break;
       }
+
+      // Only characters that entered the text were attempted
+      this._furthestPosition = Math.max(this._furthestPosition, pos + 1);
     }
 
-    this.typedText = input;
+    this.typedText = input.slice(0, common) + inserted;
+    result.value = this.typedText;
+    this._fillFromSource();
     result.stats = this.getStats();
 
     // Check completion
-    if (input.length >= this.currentText.length) {
+    if (this.typedText.length >= this.currentText.length) {
       this.complete();
     }
 
@@ -100,64 +235,346 @@ export class TypingEngine {
     return result;
   }
 
+  /**
+   * Mark a keystroke as typed with poor technique (e.g. the wrong Shift hand)
+   * It still counts as correct; technique errors are tallied separately
+   * @param {Object} keystroke - Keystroke from the log
+   * @param {string} reason - e.g. 'shift-hand'
+   */
+  flagTechniqueError(keystroke, reason) {
+    if (!keystroke || keystroke.technique) return;
+    keystroke.technique = reason;
+    eventBus.emit(Events.TYPING_TECHNIQUE_ERROR, { reason, position: keystroke.position, keystroke });
+  }
+
+  /**
+   * Check whether the correction policy allows deleting back to a position
+   * @private
+   * @param {number} position - First index that would be removed
+   * @returns {boolean}
+   */
+  _canDelete(position) {
+    switch (this.config.correctionPolicy) {
+      case CorrectionPolicy.NONE:
+        return false;
+      case CorrectionPolicy.WORD: {
+        // The word being typed starts after the last space in the text
+        // before the cursor
+        let wordStart = this.typedText.length;
+        while (wordStart > 0 && !/\s/.test(this.currentText[wordStart - 1])) {
+          wordStart--;
+        }
+        return position >= wordStart;
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Refuse an input change and keep the previously typed text
+   * @private
+   * @param {Object} result - Result object being built
+   * @param {string} reason - 'paste', 'correction' or 'complete'
+   * @returns {Object} Result
+   */
+  _rejectInput(result, reason) {
+    result.rejected = reason;
+    result.value = this.typedText;
+    result.stats = this.getStats();
+    eventBus.emit(Events.TYPING_REJECTED, { reason, position: this.typedText.length });
+    return result;
+  }
+
+  /**
+   * Append a keystroke to the log
+   * @private
+   * @param {string} type - 'insert' or 'delete'
+   * @param {number} position - Index in the text
+   * @param {string} char - Typed character (insert) or removed character (delete)
+   * @param {number} now - High-resolution timestamp
+   * @param {Object} [flags]
+   * @param {boolean} [flags.pasted] - Character arrived via paste/drop
+   * @returns {Object} The recorded keystroke
+   */
+  _recordKeystroke(type, position, char, now, { pasted = false, shiftKey = null } = {}) {
+    const previous = this.keystrokes[this.keystrokes.length - 1];
+    const expected = this.currentText[position] ?? '';
+
+    // Re-typing a position that was already attempted counts as a correction
+    const isCorrection = type === 'delete' || position < this._furthestPosition;
+
+    const keystroke = {
+      seq: this.keystrokes.length,
+      type,
+      position,
+      char,
+      expected,
+      isCorrect: textNormalizer.matches(char, expected),
+      isCorrection,
+      pasted,
+      rejected: false,
+      shiftKey,
+      technique: null,
+      timestamp: now,
+      time: now - this.startTime,
+      interval: previous ? now - previous.timestamp : 0
+    };
+
+    this.keystrokes.push(keystroke);
+    return keystroke;
+  }
+
+  /**
+   * Pull text from the source until enough lies ahead of the cursor
+   * @private
+   */
+  _fillFromSource() {
+    while (this.textSource && this.currentText.length - this.typedText.length < TEXT_LOOKAHEAD) {
+      const { value, done } = this.textSource.next();
+      if (done) {
+        this.textSource = null;
+        break;
+      }
+      this.appendText(this.currentText ? ` ${value}` : value);
+    }
+  }
+
+  /**
+   * Start the countdown for timed exercises
+   * @private
+   */
+  _startTimer() {
+    if (!this.timeLimit) return;
+
+    this._timer = setInterval(() => this._tick(), TICK_INTERVAL);
+    this._tick();
+  }
+
+  /**
+   * Stop the countdown
+   * @private
+   */
+  _stopTimer() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Emit remaining time and end the exercise when it runs out
+   * @private
+   */
+  _tick() {
+    const elapsed = (this._now() - this.startTime) / 1000;
+    const remaining = Math.max(0, this.timeLimit - elapsed);
+
+    eventBus.emit(Events.TYPING_TICK, { elapsed, remaining, timeLimit: this.timeLimit });
+
+    if (remaining <= 0) {
+      this.complete();
+    }
+  }
+
   /**
    * Mark typing as complete
    */
   complete() {
     if (this.isComplete) return;
     
-    this.endTime = Date.now();
+    this._stopTimer();
+    this.endTime = this._now();
+
+    // A timed run ends exactly at its limit, however late the last tick fired
+    if (this.timeLimit && this.startTime !== null) {
+      this.endTime = Math.min(this.endTime, this.startTime + this.timeLimit * 1000);
+    }
     this.isTyping = false;
     this.isComplete = true;
     
     const finalStats = this.getStats();
-    eventBus.emit(Events.TYPING_COMPLETE, finalStats);
+    eventBus.emit(Events.TYPING_COMPLETE, {
+      ...finalStats,
+      mode: this.currentMode,
+      text: this.currentText,
+      keystrokes: this.getKeystrokes(),
+      words: this.getWordStats()
+    });
   }
 
   /**
-   * Calculate current statistics
+   * Calculate current statistics from the keystroke log
+   *
+   * Gross (raw) WPM counts every typed character; net WPM subtracts one
+   * word per minute for each error still left in the text. Errors that were
+   * deleted or refused are "corrected" and only cost the time they took.
    * @returns {Object} Current stats
    */
   getStats() {
     let wpm = 0;
+    let rawWpm = 0;
     let accuracy = 100;
     
-    if (this.startTime && this.typedText.length > 0) {
-      const timeElapsed = ((this.endTime || Date.now()) - this.startTime) / 1000 / 60;
-      const wordsTyped = this.correctChars / 5; // Standard: 5 chars = 1 word
-      wpm = Math.round(wordsTyped / timeElapsed) || 0;
+    const inserts = this.keystrokes.filter(k => k.type === 'insert');
+    const totalChars = inserts.length;
+    const correctChars = inserts.filter(k => k.isCorrect).length;
+    const errors = totalChars - correctChars;
+
+    let uncorrectedErrors = 0;
+    for (let i = 0; i < this.typedText.length; i++) {
+      if (!textNormalizer.matches(this.typedText[i], this.currentText[i])) uncorrectedErrors++;
     }
+    const correctedErrors = errors - uncorrectedErrors;
+    const techniqueErrors = inserts.filter(k => k.technique).length;
 
-    if (this.totalChars > 0) {
-      accuracy = Math.round((this.correctChars / this.totalChars) * 100);
+    const timeElapsed = this.startTime
+      ? ((this.endTime || this._now()) - this.startTime) / 1000
+      : 0;
+
+    if (this.startTime && totalChars > 0 && timeElapsed > 0) {
+      const minutes = timeElapsed / 60;
+      const grossWpm = (totalChars / 5) / minutes; // Standard: 5 chars = 1 word
+      const netWpm = Math.max(0, grossWpm - uncorrectedErrors / minutes);
+      rawWpm = Math.round(grossWpm);
+      wpm = Math.round(netWpm);
+    }
+
+    if (totalChars > 0) {
+      accuracy = Math.round((correctChars / totalChars) * 100);
+    }
+
+    let progress = this.currentText.length > 0 
+      ? (this.typedText.length / this.currentText.length) * 100 
+      : 0;
+    if (this.timeLimit) {
+      progress = Math.min(100, (timeElapsed / this.timeLimit) * 100);
     }
 
     return {
       wpm,
+      rawWpm,
       accuracy,
-      errors: this.errors,
-      correctChars: this.correctChars,
-      totalChars: this.totalChars,
-      progress: this.currentText.length > 0 
-        ? (this.typedText.length / this.currentText.length) * 100 
-        : 0,
-      timeElapsed: this.startTime 
-        ? ((this.endTime || Date.now()) - this.startTime) / 1000 
-        : 0,
-      isComplete: this.isComplete
+      errors,
+      correctedErrors,
+      uncorrectedErrors,
+      techniqueErrors,
+      correctChars,
+      totalChars,
+      progress,
+      timeElapsed,
+      timeLimit: this.timeLimit,
+      timeRemaining: this.timeLimit ? Math.max(0, this.timeLimit - timeElapsed) : null,
+      wordsTyped: this.typedText.split(' ').filter(Boolean).length,
+      isComplete: this.isComplete,
+      pasted: this.pasteDetected
     };
   }
 
+  /**
+   * Split the recorded input into words
+   *
+   * A word owns the spaces after it, so a wrong space counts against the
+   * word before. Its time runs from the keystroke before its first one
+   * (the pause before starting a word is part of it) to its last keystroke.
+   * @returns {Array<Object>} One entry per word reached, in text order:
+   *   { word, start, end, errors, uncorrectedErrors, time (ms), wpm, complete }
+   *   wpm is null until the word has taken measurable time
+   */
+  getWordStats() {
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(this.currentText)) && match.index < this._furthestPosition) {
+      words.push({ word: match[0], start: match.index, end: match.index + match[0].length, keystrokes: [] });
+    }
+
+    // A keystroke belongs to the last word starting at or before it;
+    // sorted by position they can be handed out in one sweep
+    let index = 0;
+    const sorted = this.keystrokes
+      .filter(k => k.type === 'insert')
+      .sort((a, b) => a.position - b.position || a.seq - b.seq);
+    sorted.forEach(keystroke => {
+      while (index + 1 < words.length && words[index + 1].start <= keystroke.position) index++;
+      words[index]?.keystrokes.push(keystroke);
+    });
+
+    return words.map(({ word, start, end, keystrokes }) => {
+      const next = this.currentText.slice(end).search(/\S/);
+      const boundary = next < 0 ? this.currentText.length : end + next;
+
+      let uncorrectedErrors = 0;
+      for (let i = start; i < Math.min(boundary, this.typedText.length); i++) {
+        if (!textNormalizer.matches(this.typedText[i], this.currentText[i])) uncorrectedErrors++;
+      }
+
+      const bySeq = [...keystrokes].sort((a, b) => a.seq - b.seq);
+      const first = bySeq[0];
+      const last = bySeq[bySeq.length - 1];
+      const time = first ? last.time - (first.time - first.interval) : 0;
+
+      return {
+        word,
+        start,
+        end,
+        errors: keystrokes.filter(k => !k.isCorrect).length,
+        uncorrectedErrors,
+        time,
+        wpm: time > 0 ? Math.round(((word.length + 1) / 5) / (time / 60000)) : null,
+        complete: this.typedText.length >= end
+      };
+    });
+  }
+
+  /**
+   * Get recorded keystrokes
+   * @param {Object} [filter] - Optional filter
+   * @param {string} [filter.type] - 'insert' or 'delete'
+   * @param {number} [filter.from] - Start time (ms since first keystroke, inclusive)
+   * @param {number} [filter.to] - End time (ms since first keystroke, exclusive)
+   * @returns {Array<Object>} Copies of matching keystrokes
+   */
+  getKeystrokes({ type, from = 0, to = Infinity } = {}) {
+    return this.keystrokes
+      .filter(k => (!type || k.type === type) && k.time >= from && k.time < to)
+      .map(k => ({ ...k }));
+  }
+
+  /**
+   * Get all keystrokes recorded at a text position
+   * @param {number} position - Index in the text
+   * @returns {Array<Object>}
+   */
+  getKeystrokesAt(position) {
+    return this.keystrokes
+      .filter(k => k.position === position)
+      .map(k => ({ ...k }));
+  }
+
+  /**
+   * Get the most recent keystroke
+   * @returns {Object|null}
+   */
+  getLastKeystroke() {
+    const last = this.keystrokes[this.keystrokes.length - 1];
+    return last ? { ...last } : null;
+  }
+
   /**
    * Get character states for rendering
+   * @param {Object} [range] - Only return part of the text
+   * @param {number} [range.from] - First index (inclusive)
+   * @param {number} [range.to] - Last index (exclusive)
    * @returns {Array<Object>} Array of character states
    */
-  getCharacterStates() {
-    return this.currentText.split('').map((char, index) => {
+  getCharacterStates({ from = 0, to = this.currentText.length } = {}) {
+    return this.currentText.slice(from, to).split('').map((char, offset) => {
+      const index = from + offset;
       let state = 'pending';
       
       if (index < this.typedText.length) {
-        state = this.typedText[index] === char ? 'correct' : 'incorrect';
+        state = textNormalizer.matches(this.typedText[index], char) ? 'correct' : 'incorrect';
       } else if (index === this.typedText.length) {
         state = 'current';
       }
@@ -210,6 +627,14 @@ export class TypingEngine {
   getMode() {
     return this.currentMode;
   }
+
+  /**
+   * Update configuration
+   * @param {Object} config - correctionPolicy and/or pastePolicy
+   */
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
 }
 
 // Export singleton instance
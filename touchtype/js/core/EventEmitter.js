@@ -97,12 +97,20 @@ export const Events = {
   TYPING_COMPLETE: 'typing:complete',
   TYPING_ERROR: 'typing:error',
   TYPING_RESET: 'typing:reset',
+  TYPING_CORRECTION: 'typing:correction',
+  TYPING_PASTE: 'typing:paste',
+  TYPING_REJECTED: 'typing:rejected',
+  TYPING_TICK: 'typing:tick',
+  TYPING_TEXT_APPENDED: 'typing:textAppended',
+  TYPING_TECHNIQUE_ERROR: 'typing:techniqueError',
 
   // Camera events
   CAMERA_ENABLED: 'camera:enabled',
   CAMERA_DISABLED: 'camera:disabled',
   CAMERA_LOOKING_DOWN: 'camera:lookingDown',
   CAMERA_LOOKING_UP: 'camera:lookingUp',
+  CAMERA_LOOKING_ASIDE: 'camera:lookingAside',
+  CAMERA_LOOKING_BACK: 'camera:lookingBack',
   CAMERA_PITCH_UPDATE: 'camera:pitchUpdate',
 
   // Penalty events
@@ -112,12 +120,17 @@ export const Events = {
   XP_GAINED: 'progress:xpGained',
   LEVEL_UP: 'progress:levelUp',
   ACHIEVEMENT_UNLOCKED: 'progress:achievementUnlocked',
+  LESSON_COMPLETE: 'progress:lessonComplete',
 
   // Mode events
   MODE_CHANGED: 'mode:changed',
 
   // Settings events
   SETTING_CHANGED: 'settings:changed',
+  LAYOUT_CHANGED: 'settings:layoutChanged',
+
+  // Profile events
+  PROFILE_CHANGED: 'profile:changed',
 
   // UI events
   STATS_UPDATE: 'ui:statsUpdate',
@@ -137,7 +137,8 @@ export const defaultState = {
     level: 1,
     bestWPM: 0,
     streak: 1,
-    achievements: []
+    achievements: [],
+    personalBests: {}
   },
 
   // Settings
@@ -145,6 +146,18 @@ export const defaultState = {
     soundEnabled: true,
     flashEnabled: true,
     keyboardVisible: true,
+    correctionPolicy: 'free',
+    pastePolicy: 'reject',
+    autoAdvance: false,
+    smartPunctuation: true,
+    accentRule: 'auto',
+    lenientMatching: false,
+    tracker: 'head',
+    customTimeLimit: 90,
+    heatmapVisible: false,
+    heatmapMetric: 'errors',
+    heatmapRange: 'all',
+    keyboardLayout: 'us',
     currentMode: 'standard'
   },
 
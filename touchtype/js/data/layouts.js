@@ -0,0 +1,135 @@
+/**
+ * Keyboard layout definitions
+ *
+ * Keys are identified by their physical position, using KeyboardEvent.code.
+ * A geometry lists those codes row by row; a layout then gives one token per
+ * key in the same order. Each token is the key's characters: base, Shift
+ * and (optionally) AltGr, e.g. "qQ", "4$€". Custom layouts use the same format:
+ *
+ *   {
+ *     "id": "my-layout",
+ *     "name": "My Layout",
+ *     "geometry": "ansi" | "iso",
+ *     "rows": ["`~ 1! ...", "qQ wW ...", "aA sS ...", "zZ xX ..."],
+ *     "homeKeys": ["KeyA", ...]   // optional
+ *   }
+ */
+
+export const geometries = {
+  ansi: [
+    ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+    ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash']
+  ],
+  iso: [
+    ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote', 'Backslash'],
+    ['IntlBackslash', 'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash']
+  ]
+};
+
+// Modifier keys drawn at the ends of each character row. They are the
+// same on every layout, so layout definitions leave them out.
+export const modifierKeys = [
+  { left: [], right: [{ code: 'Backspace', label: 'Backspace', size: 'wider' }] },
+  { left: [{ code: 'Tab', label: 'Tab', size: 'wide' }], right: [] },
+  { left: [{ code: 'CapsLock', label: 'Caps', size: 'wider' }], right: [{ code: 'Enter', label: 'Enter', size: 'wider' }] },
+  { left: [{ code: 'ShiftLeft', label: 'Shift', size: 'wider' }], right: [{ code: 'ShiftRight', label: 'Shift', size: 'wider' }] }
+];
+
+// Touch-typing finger for each physical key - the same on every layout
+export const fingerMap = {
+  left: {
+    pinky: ['Backquote', 'Digit1', 'KeyQ', 'KeyA', 'KeyZ', 'IntlBackslash', 'Tab', 'CapsLock', 'ShiftLeft'],
+    ring: ['Digit2', 'KeyW', 'KeyS', 'KeyX'],
+    middle: ['Digit3', 'KeyE', 'KeyD', 'KeyC'],
+    index: ['Digit4', 'Digit5', 'KeyR', 'KeyT', 'KeyF', 'KeyG', 'KeyV', 'KeyB']
+  },
+  right: {
+    index: ['Digit6', 'Digit7', 'KeyY', 'KeyU', 'KeyH', 'KeyJ', 'KeyN', 'KeyM'],
+    middle: ['Digit8', 'KeyI', 'KeyK', 'Comma'],
+    ring: ['Digit9', 'KeyO', 'KeyL', 'Period'],
+    pinky: [
+      'Digit0', 'Minus', 'Equal', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash', 'Semicolon', 'Quote', 'Slash',
+      'Backspace', 'Enter', 'ShiftRight'
+    ]
+  },
+  thumb: ['Space']
+};
+
+// Resting positions (F and J carry the tactile bumps)
+export const defaultHomeKeys = ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon'];
+
+// Lessons and other layout-independent content are written for this layout
+export const REFERENCE_LAYOUT = 'us';
+
+export const layouts = [
+  {
+    id: 'us',
+    name: 'US QWERTY',
+    geometry: 'ansi',
+    rows: [
+      '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+',
+      'qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|',
+      'aA sS dD fF gG hH jJ kK lL ;: \'"',
+      'zZ xX cC vV bB nN mM ,< .> /?'
+    ]
+  },
+  {
+    id: 'uk',
+    name: 'UK QWERTY',
+    geometry: 'iso',
+    rows: [
+      '`¬¦ 1! 2" 3£ 4$€ 5% 6^ 7& 8* 9( 0) -_ =+',
+      'qQ wW eEé rR tT yY uUú iIí oOó pP [{ ]}',
+      'aAá sS dD fF gG hH jJ kK lL ;: \'@ #~',
+      '\\| zZ xX cC vV bB nN mM ,< .> /?'
+    ]
+  },
+  {
+    id: 'qwertz',
+    name: 'German QWERTZ',
+    geometry: 'iso',
+    rows: [
+      '^° 1! 2"² 3§³ 4$ 5% 6& 7/{ 8([ 9)] 0=} ß?\\ ´`',
+      'qQ@ wW eE€ rR tT zZ uU iI oO pP üÜ +*~',
+      'aA sS dD fF gG hH jJ kK lL öÖ äÄ #\'',
+      '<>| yY xX cC vV bB nN mMµ ,; .: -_'
+    ]
+  },
+  {
+    id: 'azerty',
+    name: 'French AZERTY',
+    geometry: 'iso',
+    rows: [
+      '² &1 é2~ "3# \'4{ (5[ -6| è7` _8\\ ç9^ à0@ )°] =+}',
+      'aA zZ eE€ rR tT yY uU iI oO pP ^¨ $£¤',
+      'qQ sS dD fF gG hH jJ kK lL mM ù% *µ',
+      '<> wW xX cC vV bB nN ,? ;. :/ !§'
+    ]
+  },
+  {
+    id: 'dvorak',
+    name: 'Dvorak',
+    geometry: 'ansi',
+    rows: [
+      '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) [{ ]}',
+      '\'" ,< .> pP yY fF gG cC rR lL /? =+ \\|',
+      'aA oO eE uU iI dD hH tT nN sS -_',
+      ';: qQ jJ kK xX bB mM wW vV zZ'
+    ]
+  },
+  {
+    id: 'colemak',
+    name: 'Colemak',
+    geometry: 'ansi',
+    rows: [
+      '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+',
+      'qQ wW fF pP gG jJ lL uU yY ;: [{ ]} \\|',
+      'aA rR sS tT dD hH nN eE iI oO \'"',
+      'zZ xX cC vV bB kK mM ,< .> /?'
+    ]
+  }
+];
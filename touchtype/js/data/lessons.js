@@ -0,0 +1,45 @@
+/**
+ * Curriculum lessons, in the order they unlock
+ * Each lesson lists only the keys it introduces; the keys allowed in a
+ * lesson are everything introduced so far (see `keys`, added below).
+ * Keys are given for US QWERTY and mapped to the same physical keys on
+ * other layouts (LayoutManager.translate).
+ */
+const LESSONS = [
+  // Home row
+  { id: 'home-fj', stage: 'Home Row', newKeys: ['f', 'j'], passWPM: 8, passAccuracy: 90 },
+  { id: 'home-dk', stage: 'Home Row', newKeys: ['d', 'k'], passWPM: 8, passAccuracy: 90 },
+  { id: 'home-sl', stage: 'Home Row', newKeys: ['s', 'l'], passWPM: 10, passAccuracy: 90 },
+  { id: 'home-a', stage: 'Home Row', newKeys: ['a', ';'], passWPM: 10, passAccuracy: 90 },
+  { id: 'home-gh', stage: 'Home Row', newKeys: ['g', 'h'], passWPM: 12, passAccuracy: 92 },
+
+  // Top row
+  { id: 'top-ru', stage: 'Top Row', newKeys: ['r', 'u'], passWPM: 12, passAccuracy: 92 },
+  { id: 'top-ei', stage: 'Top Row', newKeys: ['e', 'i'], passWPM: 14, passAccuracy: 92 },
+  { id: 'top-ty', stage: 'Top Row', newKeys: ['t', 'y'], passWPM: 14, passAccuracy: 92 },
+  { id: 'top-wo', stage: 'Top Row', newKeys: ['w', 'o'], passWPM: 16, passAccuracy: 93 },
+  { id: 'top-qp', stage: 'Top Row', newKeys: ['q', 'p'], passWPM: 16, passAccuracy: 93 },
+
+  // Bottom row
+  { id: 'bottom-vm', stage: 'Bottom Row', newKeys: ['v', 'm'], passWPM: 18, passAccuracy: 93 },
+  { id: 'bottom-cn', stage: 'Bottom Row', newKeys: ['c', 'n'], passWPM: 18, passAccuracy: 94 },
+  { id: 'bottom-b', stage: 'Bottom Row', newKeys: ['b', ','], passWPM: 20, passAccuracy: 94 },
+  { id: 'bottom-x', stage: 'Bottom Row', newKeys: ['x', '.'], passWPM: 20, passAccuracy: 94 },
+  { id: 'bottom-z', stage: 'Bottom Row', newKeys: ['z', '/'], passWPM: 20, passAccuracy: 94 },
+
+  // Numbers and symbols
+  { id: 'num-left', stage: 'Numbers & Symbols', newKeys: ['1', '2', '3', '4', '5'], passWPM: 16, passAccuracy: 92 },
+  { id: 'num-right', stage: 'Numbers & Symbols', newKeys: ['6', '7', '8', '9', '0'], passWPM: 16, passAccuracy: 92 },
+  { id: 'sym-quote', stage: 'Numbers & Symbols', newKeys: ["'", '-'], passWPM: 18, passAccuracy: 93 },
+  { id: 'sym-brackets', stage: 'Numbers & Symbols', newKeys: ['[', ']', '='], passWPM: 18, passAccuracy: 93 }
+];
+
+// Words per lesson attempt
+const WORD_COUNT = 20;
+
+let introduced = [];
+
+export const lessons = LESSONS.map(lesson => {
+  introduced = [...introduced, ...lesson.newKeys];
+  return { wordCount: WORD_COUNT, ...lesson, keys: introduced };
+});
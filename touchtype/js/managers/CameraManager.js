@@ -1,8 +1,27 @@
 /**
  * CameraManager Class
  * Handles webcam access and face tracking using MediaPipe
+ * Reports the head pose (pitch, yaw, roll); TrackingManager decides when
+ * a pitch is a glance down, while a turn past lookAsideThreshold (e.g. to
+ * a second monitor) is reported on its own as looking aside
  */
 import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { HeadPoseSolver, POSE_LANDMARKS } from '../utils/HeadPoseSolver.js';
+
+// Personal calibrations of the active profile: deviceId -> calibration
+const CALIBRATION_KEY = 'headCalibration';
+
+// Bump when pitch is measured differently - older calibrations no longer fit
+const CALIBRATION_VERSION = 2;
+
+/**
+ * Head calibration steps: where to look while the pitch is measured
+ */
+export const HeadCalibrationStep = {
+  SCREEN: 'screen',
+  KEYBOARD: 'keyboard'
+};
 
 export class CameraManager {
   constructor() {
@@ -14,19 +33,41 @@ export class CameraManager {
     
     this.isEnabled = false;
     this.isLookingDown = false;
+    this.isLookingAside = false;
     this.headPitch = 0;
-    
+    this.headYaw = 0;
+    this.headRoll = 0;
+    this.poseSolver = new HeadPoseSolver();
+
+    // Camera in use, and the user's calibration for it:
+    // { version, neutral, keyboard, threshold, calibratedAt } in degrees
+    this.deviceId = null;
+    this.calibration = null;
+
     // Configuration
     this.config = {
-      lookDownThreshold: 15, // degrees
+      lookDownThreshold: 15, // degrees, until calibrated
+      lookAsideThreshold: 30,     // degrees of yaw that count as looking aside
+      maxTrustedYaw: 60,          // degrees of yaw at which pitch is no longer trusted
       videoWidth: 640,
-      videoHeight: 480
+      videoHeight: 480,
+      calibrationSettle: 1000,    // ms to turn and hold still before measuring
+      calibrationDuration: 1500,  // ms of pitch measured per step
+      minCalibrationSpread: 5,    // degrees needed between screen and keyboard
+      thresholdShare: 0.5         // threshold this far from screen to keyboard pitch
     };
 
+    // Raw pitch readings while a calibration step is measuring
+    this._pitchSamples = null;
+    this._isCalibrating = false;
+
     // Callbacks
     this.onPitchUpdate = null;
     this.onLookingDown = null;
     this.onLookingUp = null;
+
+    // Calibration belongs to the person who did it
+    eventBus.on(Events.PROFILE_CHANGED, () => this._loadCalibration());
   }
 
   /**
@@ -56,6 +97,9 @@ export class CameraManager {
 
       this.video.srcObject = stream;
       await this.video.play();
+
+      this.deviceId = stream.getVideoTracks()[0]?.getSettings().deviceId || 'default';
+      this._loadCalibration();
       
       this.isEnabled = true;
       await this._initFaceMesh();
@@ -72,6 +116,7 @@ export class CameraManager {
    * Disable camera and stop tracking
    */
   disable() {
+    this.cancelCalibration();
     if (this.camera) {
       this.camera.stop();
       this.camera = null;
@@ -84,7 +129,9 @@ export class CameraManager {
     }
 
     this.isEnabled = false;
+    this.isLookingAside = false;
     this.faceMesh = null;
+    this.poseSolver.reset();
     
     eventBus.emit(Events.CAMERA_DISABLED);
   }
@@ -148,76 +195,174 @@ export class CameraManager {
     if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
       const landmarks = results.multiFaceLandmarks[0];
       
-      // Calculate head pitch from key facial landmarks
-      const pitch = this._calculateHeadPitch(landmarks);
+      // Solve the head pose; pitch is measured from the user's own
+      // screen pitch once calibrated
+      const pose = this.poseSolver.update(landmarks, { width: this.canvas.width, height: this.canvas.height });
+      if (this._pitchSamples) {
+        this._pitchSamples.push(pose.pitch);
+      }
+      const pitch = pose.pitch - (this.calibration?.neutral ?? 0);
+      const threshold = this.getThreshold();
       this.headPitch = pitch;
+      this.headYaw = pose.yaw;
+      this.headRoll = pose.roll;
+
+      // Check if looking down (this frame only - used for drawing)
+      this.isLookingDown = pitch > threshold;
+
+      // Emit events - level is 1 at the look-down threshold
+      eventBus.emit(Events.CAMERA_PITCH_UPDATE, {
+        pitch,
+        level: pitch / threshold,
+        threshold,
+        confidence: this._estimateConfidence(pose.yaw),
+        source: 'head',
+        yaw: pose.yaw,
+        roll: pose.roll
+      });
+      this._updateLookingAside(pose.yaw);
 
-      // Check if looking down
-      const wasLookingDown = this.isLookingDown;
-      this.isLookingDown = pitch > this.config.lookDownThreshold;
+      // Draw visualization
+      this._drawFacePoints(landmarks, pose.rotation);
+    } else {
+      // Do not blend the next face with where this one was lost
+      this.poseSolver.reset();
+    }
+  }
 
-      // Emit events
-      eventBus.emit(Events.CAMERA_PITCH_UPDATE, { pitch });
+  /**
+   * Announce turning away from the screen and back
+   * @private
+   * @param {number} yaw - Degrees, positive towards the user's left
+   */
+  _updateLookingAside(yaw) {
+    const isLookingAside = Math.abs(yaw) > this.config.lookAsideThreshold;
+    if (isLookingAside === this.isLookingAside) return;
+
+    this.isLookingAside = isLookingAside;
+    if (isLookingAside) {
+      eventBus.emit(Events.CAMERA_LOOKING_ASIDE, { yaw, direction: yaw > 0 ? 'left' : 'right' });
+    } else {
+      eventBus.emit(Events.CAMERA_LOOKING_BACK, { yaw });
+    }
+  }
 
-      if (this.isLookingDown && !wasLookingDown) {
-        eventBus.emit(Events.CAMERA_LOOKING_DOWN);
-      } else if (!this.isLookingDown && wasLookingDown) {
-        eventBus.emit(Events.CAMERA_LOOKING_UP);
-      }
+  /**
+   * Pitch past which the head is tilted down
+   * @returns {number} Degrees from the screen pitch
+   */
+  getThreshold() {
+    return this.calibration?.threshold ?? this.config.lookDownThreshold;
+  }
 
-      // Draw visualization
-      this._drawFacePoints(landmarks);
+  /**
+   * Learn the user's pitch when looking at the screen and at the keyboard
+   * (for this camera), and put the threshold between them
+   * Tracking must be running.
+   * @param {Function} onStep - Called with a HeadCalibrationStep as each step starts
+   * @returns {Promise<Object>} { calibrated, error } - error explains a failure
+   *   the user can fix; neither is set when it was cancelled
+   */
+  async calibrate(onStep) {
+    if (!this.isEnabled) {
+      console.error('CameraManager: Start tracking before calibrating');
+      return { calibrated: false, error: null };
+    }
+
+    this._isCalibrating = true;
+    const pitches = {};
+    for (const step of [HeadCalibrationStep.SCREEN, HeadCalibrationStep.KEYBOARD]) {
+      if (onStep) {
+        onStep(step);
+      }
+      pitches[step] = await this._measurePitch();
+      if (!this._isCalibrating) {
+        return { calibrated: false, error: null };
+      }
+      if (pitches[step] === null) {
+        this._isCalibrating = false;
+        return { calibrated: false, error: 'Your face could not be seen. Check the lighting and that the camera shows your whole face.' };
+      }
     }
+    this._isCalibrating = false;
+
+    const neutral = pitches[HeadCalibrationStep.SCREEN];
+    const keyboard = pitches[HeadCalibrationStep.KEYBOARD];
+    if (keyboard - neutral < this.config.minCalibrationSpread) {
+      return {
+        calibrated: false,
+        error: 'Your head hardly moved between the screen and the keyboard. Tilt your head to look down, or use eye gaze tracking if you only move your eyes.'
+      };
+    }
+
+    this.calibration = {
+      version: CALIBRATION_VERSION,
+      neutral,
+      keyboard,
+      threshold: (keyboard - neutral) * this.config.thresholdShare,
+      calibratedAt: Date.now()
+    };
+    const saved = storageManager.load(CALIBRATION_KEY, {});
+    storageManager.save(CALIBRATION_KEY, { ...saved, [this.deviceId]: this.calibration });
+    return { calibrated: true, error: null };
   }
 
   /**
-   * Calculate head pitch angle from landmarks
+   * Stop a running calibration; the previous calibration is kept
+   */
+  cancelCalibration() {
+    this._isCalibrating = false;
+  }
+
+  /**
+   * Median raw pitch over calibrationDuration, after calibrationSettle
    * @private
-   * @param {Array} landmarks - Face mesh landmarks
-   * @returns {number} Pitch angle in degrees
+   * @returns {Promise<number|null>} null if no face was seen (or cancelled)
    */
-  _calculateHeadPitch(landmarks) {
-    // Key landmark indices:
-    // 4 - Nose tip
-    // 10 - Forehead (top of face)
-    // 152 - Chin (bottom of face)
-    
-    const noseTip = landmarks[4];
-    const forehead = landmarks[10];
-    const chin = landmarks[152];
+  async _measurePitch() {
+    await delay(this.config.calibrationSettle);
+    if (!this._isCalibrating) return null;
 
-    // Calculate face height (forehead to chin)
-    const faceHeight = Math.abs(forehead.y - chin.y);
-    
-    // Calculate nose position relative to face
-    // When looking straight: nose is about 40% down from forehead
-    // When looking down: nose appears higher (percentage increases)
-    const nosePosition = (noseTip.y - forehead.y) / faceHeight;
+    this._pitchSamples = [];
+    await delay(this.config.calibrationDuration);
+    const samples = this._pitchSamples.sort((a, b) => a - b);
+    this._pitchSamples = null;
 
-    // Convert to approximate degrees
-    // Neutral position is around 0.4 (40%)
-    const neutralPosition = 0.4;
-    const pitch = (nosePosition - neutralPosition) * 150;
+    return samples.length > 0 ? samples[Math.floor(samples.length / 2)] : null;
+  }
 
-    return pitch;
+  /**
+   * Use the active profile's calibration for the camera in use
+   * @private
+   */
+  _loadCalibration() {
+    const saved = this.deviceId ? storageManager.load(CALIBRATION_KEY, {})[this.deviceId] : null;
+    this.calibration = saved?.version === CALIBRATION_VERSION ? saved : null;
+  }
+
+  /**
+   * How far the pitch can be trusted - the far side of a turned face is
+   * hidden, so its landmarks (and the solved pose) are guesses
+   * @private
+   * @param {number} yaw - Degrees
+   * @returns {number} 0-1, 1 when facing the camera
+   */
+  _estimateConfidence(yaw) {
+    return Math.max(0, 1 - Math.abs(yaw) / this.config.maxTrustedYaw);
   }
 
   /**
    * Draw face tracking visualization
    * @private
+   * @param {Array} landmarks - Face mesh landmarks
+   * @param {Array<Array<number>>} rotation - Head rotation (see HeadPoseSolver.solve)
    */
-  _drawFacePoints(landmarks) {
+  _drawFacePoints(landmarks, rotation) {
     const color = this.isLookingDown ? '#ff6b6b' : '#00f5d4';
-    
-    // Draw key points
-    const keyPoints = [
-      landmarks[4],   // Nose tip
-      landmarks[10],  // Forehead
-      landmarks[152]  // Chin
-    ];
 
+    // Draw the points the pose is solved from
     this.ctx.fillStyle = color;
-    keyPoints.forEach(point => {
+    POSE_LANDMARKS.map(index => landmarks[index]).forEach(point => {
       this.ctx.beginPath();
       this.ctx.arc(
         point.x * this.canvas.width,
@@ -229,22 +374,15 @@ export class CameraManager {
       this.ctx.fill();
     });
 
-    // Draw connecting line
+    // Draw where the face points, out from the nose tip
+    const noseX = landmarks[1].x * this.canvas.width;
+    const noseY = landmarks[1].y * this.canvas.height;
+    const length = this.canvas.height / 5;
     this.ctx.strokeStyle = color;
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
-    this.ctx.moveTo(
-      landmarks[10].x * this.canvas.width,
-      landmarks[10].y * this.canvas.height
-    );
-    this.ctx.lineTo(
-      landmarks[4].x * this.canvas.width,
-      landmarks[4].y * this.canvas.height
-    );
-    this.ctx.lineTo(
-      landmarks[152].x * this.canvas.width,
-      landmarks[152].y * this.canvas.height
-    );
+    this.ctx.moveTo(noseX, noseY);
+    this.ctx.lineTo(noseX + rotation[0][2] * length, noseY - rotation[1][2] * length);
     this.ctx.stroke();
   }
 
@@ -264,7 +402,12 @@ export class CameraManager {
     return {
       isEnabled: this.isEnabled,
       isLookingDown: this.isLookingDown,
-      headPitch: this.headPitch
+      isLookingAside: this.isLookingAside,
+      isCalibrated: this.calibration !== null,
+      headPitch: this.headPitch,
+      headYaw: this.headYaw,
+      headRoll: this.headRoll,
+      threshold: this.getThreshold()
     };
   }
 
@@ -279,5 +422,14 @@ export class CameraManager {
   }
 }
 
+/**
+ * Wait a while
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // Export singleton instance
 export const cameraManager = new CameraManager();
@@ -0,0 +1,217 @@
+/**
+ * CurriculumManager Class
+ * Tracks progress through the structured lessons - which are unlocked,
+ * which lesson is current, and whether an attempt passed
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { layoutManager } from './LayoutManager.js';
+import { lessons } from '../data/lessons.js';
+
+const STORAGE_KEY = 'curriculum';
+
+// Typing mode whose exercises are lesson attempts
+export const LESSON_MODE = 'lesson';
+
+export class CurriculumManager {
+  constructor() {
+    this.lessons = lessons;
+
+    // lessonId -> { attempts, passed, bestWPM, bestAccuracy, passedAt }
+    this.progress = {};
+    this.currentLessonId = lessons[0].id;
+
+    // Lesson whose text is being typed - a retry after passing is still
+    // the lesson before the current one
+    this.attemptLessonId = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Load persisted progress
+   */
+  init() {
+    const saved = storageManager.load(STORAGE_KEY, null);
+    this.progress = saved?.progress || {};
+    this.currentLessonId = this.getLesson(saved?.currentLessonId) && this.isUnlocked(saved.currentLessonId)
+      ? saved.currentLessonId
+      : lessons[0].id;
+    this.attemptLessonId = null;
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.TYPING_COMPLETE, (stats) => {
+      if (stats.mode === LESSON_MODE) {
+        this.evaluate(stats);
+      }
+    });
+  }
+
+  /**
+   * Get a lesson by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getLesson(id) {
+    return this.lessons.find(lesson => lesson.id === id) || null;
+  }
+
+  /**
+   * Get the lesson currently being practised
+   * @returns {Object}
+   */
+  getCurrentLesson() {
+    return this.getLesson(this.currentLessonId);
+  }
+
+  /**
+   * Get the lesson after the given one
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getNextLesson(id) {
+    const index = this.lessons.findIndex(lesson => lesson.id === id);
+    return index >= 0 ? this.lessons[index + 1] || null : null;
+  }
+
+  /**
+   * Keys of a lesson on the active keyboard layout
+   * @param {Object} lesson
+   * @returns {Object} { keys, newKeys }
+   */
+  getLessonKeys(lesson) {
+    return {
+      keys: layoutManager.translate(lesson.keys),
+      newKeys: layoutManager.translate(lesson.newKeys)
+    };
+  }
+
+  /**
+   * Display name of a lesson - the keys it introduces
+   * @param {Object} lesson
+   * @returns {string}
+   */
+  getLessonName(lesson) {
+    return this.getLessonKeys(lesson).newKeys.map(key => key.toUpperCase()).join(' ');
+  }
+
+  /**
+   * Get the stored result for a lesson
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getProgress(id) {
+    return this.progress[id] || null;
+  }
+
+  /**
+   * Check if a lesson is passed
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isPassed(id) {
+    return Boolean(this.progress[id]?.passed);
+  }
+
+  /**
+   * A lesson unlocks once the lesson before it is passed
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isUnlocked(id) {
+    const index = this.lessons.findIndex(lesson => lesson.id === id);
+    if (index < 0) return false;
+    return index === 0 || this.isPassed(this.lessons[index - 1].id);
+  }
+
+  /**
+   * Switch to a lesson
+   * @param {string} id
+   * @returns {boolean} False if the lesson is unknown or still locked
+   */
+  setCurrentLesson(id) {
+    if (!this.isUnlocked(id)) {
+      console.error('Lesson is locked:', id);
+      return false;
+    }
+    this.currentLessonId = id;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Start typing a lesson's text
+   * @param {string} [id] - Lesson of the text (a retry); the current lesson otherwise
+   * @returns {Object} The lesson
+   */
+  startAttempt(id = null) {
+    const lesson = this.getLesson(id) || this.getCurrentLesson();
+    this.attemptLessonId = lesson.id;
+    return lesson;
+  }
+
+  /**
+   * Decide whether a completed attempt passes its lesson
+   * Passing the current lesson unlocks and moves on to the next one
+   * @param {Object} stats - TYPING_COMPLETE payload
+   * @returns {Object} { lesson, passed, wpm, accuracy, unlocked }
+   */
+  evaluate(stats) {
+    const lesson = this.getLesson(this.attemptLessonId) || this.getCurrentLesson();
+    const passed = !stats.pasted &&
+      stats.wpm >= lesson.passWPM &&
+      stats.accuracy >= lesson.passAccuracy;
+
+    const record = this.progress[lesson.id] || { attempts: 0, passed: false, bestWPM: 0, bestAccuracy: 0 };
+    const wasPassed = record.passed;
+
+    record.attempts++;
+    if (!stats.pasted) {
+      record.bestWPM = Math.max(record.bestWPM, stats.wpm);
+      record.bestAccuracy = Math.max(record.bestAccuracy, stats.accuracy);
+    }
+    if (passed && !wasPassed) {
+      record.passed = true;
+      record.passedAt = Date.now();
+    }
+    this.progress[lesson.id] = record;
+
+    const next = this.getNextLesson(lesson.id);
+    const unlocked = passed && !wasPassed ? next : null;
+    if (passed && next && lesson.id === this.currentLessonId) {
+      this.currentLessonId = next.id;
+    }
+    this.save();
+
+    const result = { lesson, passed, wpm: stats.wpm, accuracy: stats.accuracy, unlocked };
+    eventBus.emit(Events.LESSON_COMPLETE, result);
+    return result;
+  }
+
+  /**
+   * Persist progress
+   */
+  save() {
+    storageManager.save(STORAGE_KEY, {
+      progress: this.progress,
+      currentLessonId: this.currentLessonId
+    });
+  }
+
+  /**
+   * Forget all lesson progress
+   */
+  clear() {
+    this.progress = {};
+    this.currentLessonId = this.lessons[0].id;
+    storageManager.remove(STORAGE_KEY);
+  }
+}
+
+// Export singleton instance
+export const curriculumManager = new CurriculumManager();
@@ -0,0 +1,451 @@
+/**
+ * ExportManager Class
+ * Moves all user data in and out of a versioned JSON bundle, and writes
+ * the session history as CSV for spreadsheets
+ */
+import { storageManager } from './StorageManager.js';
+import { layoutManager } from './LayoutManager.js';
+import { TrackerType } from './TrackingManager.js';
+import { StatsRange } from './KeyStatsManager.js';
+import { CorrectionPolicy } from '../components/TypingEngine.js';
+import { AccentRule } from '../utils/TextNormalizer.js';
+import { Stores, DAY_PREFIX } from '../storage/schema.js';
+import { layouts } from '../data/layouts.js';
+
+export const EXPORT_FORMAT = 'typevision-export';
+
+// Bump when the bundle format changes; older bundles must stay importable
+export const EXPORT_VERSION = 1;
+
+// Session history CSV: column -> value
+const CSV_COLUMNS = {
+  timestamp: session => session.timestamp,
+  mode: session => session.mode,
+  duration: session => session.duration,
+  wpm: session => session.wpm,
+  rawWpm: session => session.rawWpm,
+  accuracy: session => session.accuracy,
+  errors: session => session.errors,
+  penalties: session => session.penalties,
+  glances: session => session.glances?.length,
+  cameraEnabled: session => session.cameraEnabled,
+  xp: session => session.xp?.total,
+  xpPenaltyDeduction: session => session.xp?.penaltyDeduction
+};
+
+// Saved values tied to this device's camera and screen - never exported,
+// and kept when a backup replaces the data
+const DEVICE_VALUES = ['gazeCalibration', 'headCalibration'];
+
+export const ImportMode = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+/**
+ * Bundle format:
+ *   {
+ *     format: 'typevision-export', version, exportedAt,
+ *     data: {
+ *       values: { settings, progress, curriculum, customLayouts, ... },
+ *       sessions: [session, ...],
+ *       keyStats: [{ id, data }, ...],
+ *       texts: [collection, ...]
+ *     }
+ *   }
+ * Achievements travel inside progress. Replays have their own export.
+ * Device values (DEVICE_VALUES) are left out.
+ * texts (the text library) is missing from bundles made before it existed.
+ */
+export class ExportManager {
+  /**
+   * Build the export bundle
+   * @returns {string} JSON text
+   */
+  exportJSON() {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: {
+        values: exportableValues(),
+        sessions: storageManager.getHistory(),
+        keyStats: storageManager.getRecords(Stores.KEY_STATS),
+        texts: storageManager.getRecords(Stores.TEXTS)
+      }
+    });
+  }
+
+  /**
+   * Session history as CSV, oldest first
+   * @returns {string}
+   */
+  exportSessionsCSV() {
+    const columns = Object.keys(CSV_COLUMNS);
+    const rows = storageManager.getHistory().reverse().map(session => {
+      return columns.map(column => csvField(CSV_COLUMNS[column](session))).join(',');
+    });
+    return [columns.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * Read and validate a bundle
+   * @param {string} json - JSON text
+   * @returns {Object} { bundle } or { error } with a message for the user
+   */
+  parseBundle(json) {
+    let bundle;
+    try {
+      bundle = JSON.parse(json);
+    } catch (error) {
+      return { error: 'The file is not valid JSON.' };
+    }
+
+    if (bundle?.format !== EXPORT_FORMAT) {
+      return { error: 'The file is not a TypeVision data export.' };
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      return { error: 'The export has no valid version number.' };
+    }
+    if (bundle.version > EXPORT_VERSION) {
+      return { error: `The export was made by a newer version of TypeVision (format ${bundle.version}). Update TypeVision and try again.` };
+    }
+
+    const problem = validateData(bundle.data);
+    if (problem) {
+      return { error: `The export is damaged: ${problem}.` };
+    }
+
+    return { bundle };
+  }
+
+  /**
+   * Compare a bundle with the data stored now
+   * @param {Object} bundle - From parseBundle
+   * @returns {Object} Summary of what an import would change
+   */
+  summarize(bundle) {
+    const { values, sessions, keyStats, texts = [] } = bundle.data;
+    const current = storageManager.getValues();
+    const sessionIds = new Set(storageManager.getHistory().map(session => session.id));
+    const keyStatIds = new Set(storageManager.getRecords(Stores.KEY_STATS).map(record => record.id));
+    const textIds = new Set(storageManager.getRecords(Stores.TEXTS).map(record => record.id));
+    const achievements = new Set(current.progress?.achievements || []);
+
+    return {
+      exportedAt: bundle.exportedAt,
+      sessions: { current: sessionIds.size, incoming: sessions.length, new: sessions.filter(s => !sessionIds.has(s.id)).length },
+      keyStats: { incoming: keyStats.length, new: keyStats.filter(record => !keyStatIds.has(record.id)).length },
+      texts: { incoming: texts.length, new: texts.filter(record => !textIds.has(record.id)).length },
+      progress: {
+        current: current.progress ? { level: current.progress.level, totalXP: current.progress.totalXP } : null,
+        incoming: values.progress ? { level: values.progress.level, totalXP: values.progress.totalXP } : null
+      },
+      newAchievements: (values.progress?.achievements || []).filter(id => !achievements.has(id)),
+      settingsChanged: Object.keys(values).filter(key => JSON.stringify(values[key]) !== JSON.stringify(current[key]))
+    };
+  }
+
+  /**
+   * Write a bundle into storage
+   * Merging keeps everything stored now and adds what is new; replacing
+   * discards the current progress, settings, history, key stats and text
+   * library first.
+   * Managers must reload their data afterwards.
+   * @param {Object} bundle - From parseBundle
+   * @param {string} mode - ImportMode
+   */
+  importBundle(bundle, mode) {
+    const { values, sessions, keyStats, texts = [] } = bundle.data;
+
+    if (mode === ImportMode.REPLACE) {
+      const deviceValues = DEVICE_VALUES
+        .map(key => [key, storageManager.load(key, null)])
+        .filter(([, value]) => value !== null);
+      storageManager.clearValues();
+      deviceValues.forEach(([key, value]) => storageManager.save(key, value));
+      storageManager.clearRecords(Stores.SESSIONS);
+      storageManager.clearRecords(Stores.KEY_STATS);
+      storageManager.clearRecords(Stores.TEXTS);
+      Object.entries(values).forEach(([key, value]) => storageManager.save(key, value));
+      sessions.forEach(session => storageManager.putRecord(Stores.SESSIONS, session));
+      keyStats.forEach(record => storageManager.putRecord(Stores.KEY_STATS, record));
+      texts.forEach(record => storageManager.putRecord(Stores.TEXTS, record));
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      const current = storageManager.load(key, null);
+      const merge = VALUE_MERGERS[key];
+      if (current === null) {
+        storageManager.save(key, value);
+      } else if (merge) {
+        storageManager.save(key, merge(current, value));
+      }
+      // Anything else (e.g. settings) keeps this device's value
+    });
+
+    const sessionIds = new Set(storageManager.getHistory().map(session => session.id));
+    sessions
+      .filter(session => !sessionIds.has(session.id))
+      .forEach(session => storageManager.putRecord(Stores.SESSIONS, session));
+
+    const currentStats = new Map(storageManager.getRecords(Stores.KEY_STATS).map(record => [record.id, record]));
+    keyStats.forEach(record => {
+      const current = currentStats.get(record.id);
+      storageManager.putRecord(Stores.KEY_STATS, current ? { id: record.id, data: mergeKeyStats(current.data, record.data) } : record);
+    });
+
+    // Texts already here keep this device's reading position
+    const textIds = new Set(storageManager.getRecords(Stores.TEXTS).map(record => record.id));
+    texts
+      .filter(record => !textIds.has(record.id))
+      .forEach(record => storageManager.putRecord(Stores.TEXTS, record));
+  }
+}
+
+// How to combine a stored value with an imported one when merging
+const VALUE_MERGERS = {
+  progress: (current, incoming) => {
+    const ahead = (incoming.totalXP || 0) > (current.totalXP || 0) ? incoming : current;
+    const personalBests = { ...current.personalBests };
+    Object.entries(incoming.personalBests || {}).forEach(([mode, wpm]) => {
+      personalBests[mode] = Math.max(personalBests[mode] || 0, wpm);
+    });
+
+    return {
+      ...ahead,
+      bestWPM: Math.max(current.bestWPM || 0, incoming.bestWPM || 0),
+      streak: Math.max(current.streak || 0, incoming.streak || 0),
+      achievements: [...new Set([...(current.achievements || []), ...(incoming.achievements || [])])],
+      personalBests
+    };
+  },
+
+  curriculum: (current, incoming) => {
+    const progress = { ...current.progress };
+    Object.entries(incoming.progress || {}).forEach(([id, record]) => {
+      const mine = progress[id];
+      progress[id] = mine ? {
+        attempts: Math.max(mine.attempts, record.attempts),
+        passed: mine.passed || record.passed,
+        bestWPM: Math.max(mine.bestWPM, record.bestWPM),
+        bestAccuracy: Math.max(mine.bestAccuracy, record.bestAccuracy),
+        passedAt: mine.passedAt && record.passedAt
+          ? Math.min(mine.passedAt, record.passedAt)
+          : mine.passedAt || record.passedAt
+      } : record;
+    });
+    return { ...current, progress };
+  },
+
+  customLayouts: (current, incoming) => [
+    ...current,
+    ...incoming.filter(layout => !current.some(mine => mine.id === layout.id))
+  ]
+};
+
+// Shape each known saved value must have to be imported - checked before
+// anything is written, so a bad bundle never leaves storage half-imported
+// (values is the bundle's whole values section)
+const VALUE_VALIDATORS = {
+  settings: (value, values) => isPlainObject(value) &&
+    Object.entries(SETTING_VALIDATORS).every(([key, isValid]) => value[key] === undefined || isValid(value[key], values)),
+
+  progress: value => isPlainObject(value) &&
+    Number.isFinite(value.totalXP) &&
+    (value.achievements === undefined || (Array.isArray(value.achievements) && value.achievements.every(id => typeof id === 'string'))) &&
+    (value.personalBests === undefined || (isPlainObject(value.personalBests) && Object.values(value.personalBests).every(Number.isFinite))),
+
+  curriculum: value => isPlainObject(value) &&
+    (value.progress === undefined || (isPlainObject(value.progress) && Object.values(value.progress).every(record =>
+      isPlainObject(record) &&
+      ['attempts', 'bestWPM', 'bestAccuracy'].every(field => Number.isFinite(record[field])) &&
+      (record.passedAt === undefined || record.passedAt === null || Number.isFinite(record.passedAt))))),
+
+  customLayouts: value => Array.isArray(value) && value.every(layout => !layoutManager.validateLayout(layout)),
+
+  textLibrary: value => isPlainObject(value) &&
+    (value.activeId === undefined || value.activeId === null || typeof value.activeId === 'string')
+};
+
+// Allowed values of each known setting (see App's settings)
+const SETTING_VALIDATORS = {
+  soundEnabled: isBoolean,
+  flashEnabled: isBoolean,
+  keyboardVisible: isBoolean,
+  correctionPolicy: value => Object.values(CorrectionPolicy).includes(value),
+  pastePolicy: value => ['reject', 'flag'].includes(value),
+  autoAdvance: isBoolean,
+  smartPunctuation: isBoolean,
+  accentRule: value => Object.values(AccentRule).includes(value),
+  lenientMatching: isBoolean,
+  tracker: value => Object.values(TrackerType).includes(value),
+  customTimeLimit: value => Number.isInteger(value) && value >= 5 && value <= 3600,
+  heatmapVisible: isBoolean,
+  heatmapMetric: value => ['errors', 'latency'].includes(value),
+  heatmapRange: value => Object.values(StatsRange).includes(value),
+  // A built-in layout or one imported with the bundle
+  keyboardLayout: (value, values) => layouts.some(layout => layout.id === value) ||
+    (Array.isArray(values.customLayouts) && values.customLayouts.some(layout => layout?.id === value)),
+  currentMode: value => typeof value === 'string'
+};
+
+// Shape of each key statistics record (see KeyStatsManager), by id -
+// checked entry by entry, since a bad entry breaks the heatmap on load
+const KEY_STATS_VALIDATORS = {
+  // Decaying tables: key -> { attempts, misses, confusions, latencies, updatedAt }
+  table: entry => isPlainObject(entry) &&
+    ['attempts', 'misses', 'updatedAt'].every(field => Number.isFinite(entry[field])) &&
+    isCountMap(entry.confusions) &&
+    Array.isArray(entry.latencies) && entry.latencies.every(Number.isFinite),
+
+  // Daily buckets: char -> { attempts, misses, latencyTotal, latencyCount, confusions }
+  day: counts => isPlainObject(counts) &&
+    ['attempts', 'misses', 'latencyTotal', 'latencyCount'].every(field => Number.isFinite(counts[field])) &&
+    isCountMap(counts.confusions)
+};
+
+const KEY_STATS_TABLES = ['chars', 'bigrams', 'trigrams'];
+
+/**
+ * Saved values that belong in a bundle
+ * @returns {Object} key -> value
+ */
+function exportableValues() {
+  return Object.fromEntries(
+    Object.entries(storageManager.getValues()).filter(([key]) => !DEVICE_VALUES.includes(key))
+  );
+}
+
+/**
+ * Check the data section of a bundle
+ * @param {Object} data
+ * @returns {string|null} What is wrong, or null if it looks sound
+ */
+function validateData(data) {
+  if (!data || typeof data !== 'object') return 'the data section is missing';
+  if (!data.values || typeof data.values !== 'object' || Array.isArray(data.values)) return 'saved values are missing';
+  if (!Array.isArray(data.sessions)) return 'session history is missing';
+  if (!Array.isArray(data.keyStats)) return 'key statistics are missing';
+
+  const badSession = data.sessions.findIndex(session =>
+    typeof session?.id !== 'string' ||
+    typeof session.timestamp !== 'string' ||
+    typeof session.mode !== 'string' ||
+    !Number.isFinite(session.wpm) ||
+    !Number.isFinite(session.accuracy) ||
+    !Number.isFinite(session.duration) ||
+    !(session.glances === undefined || session.glances === null ||
+      (Array.isArray(session.glances) && session.glances.every(isValidGlance))));
+  if (badSession >= 0) return `session ${badSession + 1} is invalid`;
+
+  const badStat = data.keyStats.findIndex(record => !isValidKeyStats(record));
+  if (badStat >= 0) return `key statistics record ${badStat + 1} is invalid`;
+
+  if (data.texts !== undefined) {
+    if (!Array.isArray(data.texts)) return 'the text library is invalid';
+    const badText = data.texts.findIndex(record =>
+      typeof record?.id !== 'string' ||
+      typeof record.name !== 'string' ||
+      !Array.isArray(record.parts) || record.parts.length === 0 || !record.parts.every(part => typeof part === 'string') ||
+      !Number.isInteger(record.position) || record.position < 0 || record.position >= record.parts.length);
+    if (badText >= 0) return `library text ${badText + 1} is invalid`;
+  }
+
+  const badValue = Object.entries(VALUE_VALIDATORS)
+    .find(([key, isValid]) => data.values[key] !== undefined && !isValid(data.values[key], data.values));
+  if (badValue) return `the saved ${badValue[0]} value is invalid`;
+
+  return null;
+}
+
+/**
+ * Check a key statistics record and every entry in it
+ * @param {Object} record - { id, data }
+ * @returns {boolean}
+ */
+function isValidKeyStats(record) {
+  if (typeof record?.id !== 'string' || !isPlainObject(record.data)) return false;
+
+  let isValidEntry;
+  if (KEY_STATS_TABLES.includes(record.id)) {
+    isValidEntry = KEY_STATS_VALIDATORS.table;
+  } else if (record.id.startsWith(DAY_PREFIX) && /^\d{4}-\d{2}-\d{2}$/.test(record.id.slice(DAY_PREFIX.length))) {
+    isValidEntry = KEY_STATS_VALIDATORS.day;
+  } else {
+    return false;
+  }
+  return Object.values(record.data).every(isValidEntry);
+}
+
+/**
+ * Check a glance logged with a session (see GlanceLogManager)
+ * @param {Object} glance - { start, end, duration, position, char, precededError }
+ * @returns {boolean}
+ */
+function isValidGlance(glance) {
+  return isPlainObject(glance) &&
+    ['start', 'end', 'duration'].every(field => Number.isFinite(glance[field])) &&
+    (glance.position === null || Number.isInteger(glance.position)) &&
+    (glance.char === null || typeof glance.char === 'string') &&
+    typeof glance.precededError === 'boolean';
+}
+
+/**
+ * Check for an object of finite numbers (e.g. confusions: typed -> count)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isCountMap(value) {
+  return isPlainObject(value) && Object.values(value).every(Number.isFinite);
+}
+
+/**
+ * Check for true or false
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+/**
+ * Check for an object that is not null or an array
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Combine two key statistics records. The same record on both sides
+ * usually means the same typing (exported from here, or synced before),
+ * so the busier one is kept per key rather than adding them up.
+ * @param {Object} current - key -> entry
+ * @param {Object} incoming - key -> entry
+ * @returns {Object}
+ */
+function mergeKeyStats(current, incoming) {
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([key, entry]) => {
+    if (!merged[key] || entry.attempts > merged[key].attempts) {
+      merged[key] = entry;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export singleton instance
+export const exportManager = new ExportManager();
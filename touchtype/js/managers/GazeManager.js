@@ -1,9 +1,20 @@
 /**
  * GazeManager Class
  * Uses WebGazer.js for accurate eye gaze tracking
- * Detects when user is looking at screen vs keyboard
+ * Detects when user is looking at screen vs keyboard; TrackingManager
+ * decides when that is a glance down
  */
 import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+
+// Loaded on first use - only needed when gaze tracking is chosen
+const WEBGAZER_URL = 'https://webgazer.cs.brown.edu/webgazer.js';
+
+// Saved training data of the last calibration (per profile)
+const CALIBRATION_KEY = 'gazeCalibration';
+
+// Clicks further than this from a calibration target are ignored (px)
+const CALIBRATION_HIT_RADIUS = 40;
 
 export class GazeManager {
   constructor() {
@@ -23,25 +34,34 @@ export class GazeManager {
       smoothingFactor: 0.3,
       // Number of calibration points required
       calibrationPoints: 9,
+      // Clicks on each point - more clicks, better predictions
+      clicksPerPoint: 3,
       // Show WebGazer's prediction visualization
       showPrediction: false
     };
 
     // Smoothed gaze position
     this._smoothedGaze = { x: 0, y: 0 };
+    // Previous raw prediction, to tell steady predictions from noise
+    this._lastPrediction = null;
     
     // Calibration state
     this._calibrationData = [];
     this._isCalibrating = false;
+    // Click wait of the running calibration, so it can be cancelled
+    this._pendingClick = null;
+
+    // Calibration belongs to the person who did it
+    eventBus.on(Events.PROFILE_CHANGED, () => this._loadCalibration());
   }
 
   /**
    * Initialize WebGazer
-   * Must be called after WebGazer script is loaded
+   * Loads the WebGazer script first if the page does not include it
    */
   async init() {
     // Check if WebGazer is available
-    if (typeof webgazer === 'undefined') {
+    if (typeof webgazer === 'undefined' && !(await loadScript(WEBGAZER_URL))) {
       console.error('GazeManager: WebGazer.js not loaded');
       return false;
     }
@@ -55,7 +75,8 @@ export class GazeManager {
         .setTracker('TFFacemesh') // Use TensorFlow FaceMesh for face detection
         .showVideoPreview(false) // We'll handle video display ourselves
         .showPredictionPoints(this.config.showPrediction)
-        .applyKalmanFilter(true); // Smooth predictions
+        .applyKalmanFilter(true) // Smooth predictions
+        .saveDataAcrossSessions(false); // Calibration is per profile, not per browser
 
       // Set up gaze listener
       this.webgazer.setGazeListener((data, elapsedTime) => {
@@ -81,6 +102,7 @@ export class GazeManager {
     try {
       await this.webgazer.begin();
       this.isEnabled = true;
+      this._loadCalibration();
       eventBus.emit(Events.CAMERA_ENABLED);
       return true;
     } catch (error) {
@@ -93,6 +115,7 @@ export class GazeManager {
    * Stop gaze tracking
    */
   stop() {
+    this.cancelCalibration();
     if (this.webgazer) {
       this.webgazer.end();
     }
@@ -137,8 +160,6 @@ export class GazeManager {
     const viewportHeight = window.innerHeight;
     const threshold = viewportHeight * this.config.lookDownThreshold;
     
-    const wasLookingDown = this.isLookingDown;
-    
     // User is looking down if:
     // 1. Y position is below the viewport threshold
     // 2. Y position is negative (above screen - rare but possible)
@@ -150,22 +171,37 @@ export class GazeManager {
       x > window.innerWidth + 100
     );
 
-    // Emit events on state change
-    if (this.isLookingDown && !wasLookingDown) {
-      eventBus.emit(Events.CAMERA_LOOKING_DOWN);
-    } else if (!this.isLookingDown && wasLookingDown) {
-      eventBus.emit(Events.CAMERA_LOOKING_UP);
-    }
-
-    // Always emit pitch update for UI
-    const normalizedY = Math.min(1, Math.max(0, y / viewportHeight));
-    eventBus.emit(Events.CAMERA_PITCH_UPDATE, { 
-      pitch: normalizedY * 100, // 0-100 representing screen position
+    // Always emit pitch update - pitch is the gaze height in % of the
+    // viewport (0 at the top, over 100 below the screen)
+    eventBus.emit(Events.CAMERA_PITCH_UPDATE, {
+      pitch: (y / viewportHeight) * 100,
+      level: y / threshold,
+      threshold: Math.round(this.config.lookDownThreshold * 100),
+      confidence: this._estimateConfidence(x, y),
+      source: 'gaze',
       x: this.currentGaze.x,
       y: this.currentGaze.y
     });
   }
 
+  /**
+   * How far a prediction can be trusted - none before calibration, and
+   * less the further it jumps from the previous one
+   * @private
+   * @param {number} x - Raw prediction
+   * @param {number} y
+   * @returns {number} 0-1 (0 below minConfidence)
+   */
+  _estimateConfidence(x, y) {
+    const last = this._lastPrediction;
+    this._lastPrediction = { x, y };
+    if (!this.isCalibrated || !last) return 0;
+
+    const jump = Math.hypot(x - last.x, y - last.y);
+    const confidence = Math.max(0, 1 - jump / (window.innerHeight / 2));
+    return confidence < this.config.minConfidence ? 0 : confidence;
+  }
+
   /**
    * Linear interpolation helper
    * @private
@@ -176,36 +212,83 @@ export class GazeManager {
 
   /**
    * Start calibration process
-   * @param {Function} onPointRequired - Callback when user needs to look at a point
+   * Tracking must be running. Each point is clicked clicksPerPoint times
+   * while looking at it; only clicks on the point train the model.
+   * @param {Function} onPointRequired - Callback when user needs to look at a point,
+   *   called with (point, pointNumber, totalPoints, clicksLeft)
    * @param {Function} onComplete - Callback when calibration is complete
+   * @returns {Promise<boolean>} False if tracking is off or calibration was cancelled
    */
   async startCalibration(onPointRequired, onComplete) {
-    this._isCalibrating = true;
+    if (!this.isEnabled) {
+      console.error('GazeManager: Start tracking before calibrating');
+      return false;
+    }
+
+    // The saved calibration stays until the new one is complete
+    this.webgazer.clearData();
+    this.isCalibrated = false;
     this._calibrationData = [];
+    this._isCalibrating = true;
+
+    // Clicks outside the targets would train the model on the wrong spot
+    this.webgazer.removeMouseEventListeners();
 
     // Generate calibration points (3x3 grid)
     const points = this._generateCalibrationPoints();
     
-    for (let i = 0; i < points.length; i++) {
+    for (let i = 0; i < points.length && this._isCalibrating; i++) {
       const point = points[i];
-      
-      // Notify UI to show point
-      if (onPointRequired) {
-        await onPointRequired(point, i + 1, points.length);
+
+      for (let clicksLeft = this.config.clicksPerPoint; clicksLeft > 0 && this._isCalibrating; clicksLeft--) {
+        // Notify UI to show point
+        if (onPointRequired) {
+          await onPointRequired(point, i + 1, points.length, clicksLeft);
+        }
+
+        const click = await this._waitForClick(point);
+        if (click) {
+          this.webgazer.recordScreenPosition(click.x, click.y, 'click');
+        }
       }
-      
-      // Wait for user to click (WebGazer auto-calibrates on click)
-      await this._waitForClick();
-      
+
       this._calibrationData.push(point);
     }
 
+    this.webgazer.addMouseEventListeners();
+    if (!this._isCalibrating) {
+      this._loadCalibration();
+      return false;
+    }
+
     this._isCalibrating = false;
     this.isCalibrated = true;
+    this._saveCalibration();
 
     if (onComplete) {
       onComplete();
     }
+    return true;
+  }
+
+  /**
+   * Stop a running calibration; the previous calibration is kept
+   */
+  cancelCalibration() {
+    if (!this._isCalibrating) return;
+
+    this._isCalibrating = false;
+    if (this._pendingClick) {
+      this._pendingClick(null);
+    }
+  }
+
+  /**
+   * Check if a calibration is running
+   * @returns {boolean}
+   */
+  isCalibrating() {
+    return this._isCalibrating;
   }
 
   /**
@@ -231,15 +314,24 @@ export class GazeManager {
   }
 
   /**
-   * Wait for user click
+   * Wait for user click on a calibration point
    * @private
+   * @param {Object} point - { x, y }
+   * @returns {Promise<Object|null>} Click position, or null if cancelled
    */
-  _waitForClick() {
+  _waitForClick(point) {
     return new Promise(resolve => {
-      const handler = () => {
+      const finish = (click) => {
         document.removeEventListener('click', handler);
-        resolve();
+        this._pendingClick = null;
+        resolve(click);
       };
+      const handler = (e) => {
+        if (Math.hypot(e.clientX - point.x, e.clientY - point.y) <= CALIBRATION_HIT_RADIUS) {
+          finish({ x: e.clientX, y: e.clientY });
+        }
+      };
+      this._pendingClick = finish;
       document.addEventListener('click', handler);
     });
   }
@@ -257,7 +349,7 @@ export class GazeManager {
   }
 
   /**
-   * Clear calibration data
+   * Clear calibration data, including the saved calibration
    */
   clearCalibration() {
     if (this.webgazer) {
@@ -265,6 +357,40 @@ export class GazeManager {
     }
     this.isCalibrated = false;
     this._calibrationData = [];
+    storageManager.remove(CALIBRATION_KEY);
+  }
+
+  /**
+   * Save the trained model for the active profile
+   * @private
+   */
+  _saveCalibration() {
+    storageManager.save(CALIBRATION_KEY, {
+      calibratedAt: Date.now(),
+      points: this._calibrationData.length,
+      data: this.webgazer.getRegression()[0].getData()
+    });
+  }
+
+  /**
+   * Replace the model with the active profile's saved calibration
+   * @private
+   */
+  _loadCalibration() {
+    this.isCalibrated = false;
+    this._calibrationData = [];
+    if (!this.webgazer) return;
+
+    this.webgazer.clearData();
+    const saved = storageManager.load(CALIBRATION_KEY, null);
+    if (!saved?.data?.length) return;
+
+    try {
+      this.webgazer.getRegression()[0].setData(saved.data);
+      this.isCalibrated = true;
+    } catch (error) {
+      console.error('GazeManager: Saved calibration could not be restored', error);
+    }
   }
 
   /**
@@ -342,5 +468,21 @@ export class GazeManager {
   }
 }
 
+/**
+ * Add a script to the page
+ * @param {string} src
+ * @returns {Promise<boolean>} False if it failed to load
+ */
+function loadScript(src) {
+  return new Promise(resolve => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    script.onload = () => resolve(true);
+    script.onerror = () => resolve(false);
+    document.head.appendChild(script);
+  });
+}
+
 // Export singleton
 export const gazeManager = new GazeManager();
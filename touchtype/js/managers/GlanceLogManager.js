@@ -0,0 +1,182 @@
+/**
+ * GlanceLogManager Class
+ * Records every glance down during an exercise - unlike PenaltyManager,
+ * which counts penalties and skips glances inside its cooldown. Each
+ * glance notes what was being typed: the next keystroke after it began
+ * is the key the user looked for. The glances are stored with the
+ * session for the dashboard.
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+
+/**
+ * Glance records:
+ *   { start, end, duration, position, char, precededError }
+ * start and end are timestamps (ms since the epoch), duration is in ms.
+ * position and char are the first keystroke after the glance began
+ * (null if none came); precededError is set when one of the next
+ * errorWindow keystrokes was wrong.
+ */
+export class GlanceLogManager {
+  constructor() {
+    // Glances of the current exercise
+    this.glances = [];
+
+    // Glance still going on, and glances waiting for keystrokes
+    this._open = null;
+    this._pending = [];
+
+    // Only glances between the first keystroke and the end of an
+    // exercise count, and none while disabled (e.g. during calibration)
+    this._isTyping = false;
+    this.isEnabled = true;
+
+    // Configuration
+    this.config = {
+      errorWindow: 3    // keystrokes after a glance in which an error counts
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.TYPING_RESET, () => {
+      this.reset();
+    });
+
+    eventBus.on(Events.TYPING_START, () => {
+      this._isTyping = true;
+    });
+
+    eventBus.on(Events.TYPING_COMPLETE, () => {
+      this._isTyping = false;
+    });
+
+    eventBus.on(Events.CAMERA_LOOKING_DOWN, ({ since }) => {
+      this._onGlanceStart(since);
+    });
+
+    eventBus.on(Events.CAMERA_LOOKING_UP, ({ since, duration }) => {
+      this._onGlanceEnd(since + duration);
+    });
+
+    eventBus.on(Events.CAMERA_DISABLED, () => {
+      this._onGlanceEnd(performance.now());
+    });
+
+    eventBus.on(Events.TYPING_INPUT, ({ correct, expected, position }) => {
+      this._onKeystroke(correct, expected, position);
+    });
+  }
+
+  /**
+   * Start a new exercise
+   */
+  reset() {
+    this.glances = [];
+    this._open = null;
+    this._pending = [];
+    this._isTyping = false;
+  }
+
+  /**
+   * Enable/disable logging - a glance going on ends when disabled
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (!enabled) {
+      this._onGlanceEnd(performance.now());
+    }
+    this.isEnabled = enabled;
+  }
+
+  /**
+   * Get the glances of the current exercise
+   * A glance still going on ends now
+   * @returns {Array<Object>} Glance records (see above)
+   */
+  getGlances() {
+    const glances = this.glances.map(glance => ({ ...glance }));
+    if (this._open) {
+      glances.push({ ...this._open, end: Date.now(), duration: Date.now() - this._open.start });
+    }
+    return glances;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config
+   */
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * Open a glance
+   * @private
+   * @param {number} since - performance.now() time it began
+   */
+  _onGlanceStart(since) {
+    if (!this.isEnabled || !this._isTyping || this._open) return;
+
+    this._open = {
+      start: toTimestamp(since),
+      end: null,
+      duration: null,
+      position: null,
+      char: null,
+      precededError: false
+    };
+    this._pending.push({ glance: this._open, keystrokes: 0 });
+  }
+
+  /**
+   * Close the open glance
+   * @private
+   * @param {number} end - performance.now() time it ended
+   */
+  _onGlanceEnd(end) {
+    if (!this._open) return;
+
+    this._open.end = Math.max(this._open.start, toTimestamp(end));
+    this._open.duration = this._open.end - this._open.start;
+    this.glances.push(this._open);
+    this._open = null;
+  }
+
+  /**
+   * Attribute a keystroke to the glances before it
+   * @private
+   * @param {boolean} correct
+   * @param {string} expected - Character that should have been typed
+   * @param {number} position - Its index in the text
+   */
+  _onKeystroke(correct, expected, position) {
+    this._pending.forEach(pending => {
+      if (pending.keystrokes === 0) {
+        pending.glance.position = position;
+        pending.glance.char = expected ?? null;
+      }
+      if (!correct) {
+        pending.glance.precededError = true;
+      }
+      pending.keystrokes++;
+    });
+    this._pending = this._pending.filter(pending => pending.keystrokes < this.config.errorWindow);
+  }
+}
+
+/**
+ * Convert a performance.now() time to a timestamp
+ * @param {number} time
+ * @returns {number} ms since the epoch
+ */
+function toTimestamp(time) {
+  return Math.round(Date.now() - (performance.now() - time));
+}
+
+// Export singleton instance
+export const glanceLogManager = new GlanceLogManager();
@@ -0,0 +1,488 @@
+/**
+ * KeyStatsManager Class
+ * Accumulates per-character, bigram and trigram accuracy and latency
+ * across sessions, with older data slowly decaying. Per-character totals
+ * are also kept per day (undecayed) for time-range views.
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { Stores, DAY_PREFIX } from '../storage/schema.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Time ranges for per-character totals
+export const StatsRange = {
+  SESSION: 'session',
+  WEEK: 'week',
+  ALL: 'all'
+};
+
+export class KeyStatsManager {
+  constructor() {
+    // key (char, bigram or trigram) -> entry
+    this.tables = {
+      chars: {},
+      bigrams: {},
+      trigrams: {}
+    };
+
+    // Per-character totals: day ('YYYY-MM-DD') -> char -> bucket,
+    // and the same for everything typed since the page loaded
+    this.daily = {};
+    this.session = {};
+
+    // Days changed since the last save
+    this._changedDays = new Set();
+
+    // Configuration
+    this.config = {
+      halfLife: 14 * DAY,   // attempts/misses lose half their weight after this
+      maxSamples: 50,       // latency samples kept per entry
+      maxLatency: 2000,     // ms - longer gaps are pauses, not key latency
+      minAttempts: 5,       // entries below this are not ranked
+      maxTrigrams: 3000,    // prune rarely typed trigrams beyond this
+      maxDays: 365          // daily buckets kept
+    };
+
+    // Last keystroke seen, to chain latency and n-grams
+    this._lastKeystroke = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Load persisted statistics
+   */
+  init() {
+    this.tables = { chars: {}, bigrams: {}, trigrams: {} };
+    this.daily = {};
+
+    storageManager.getRecords(Stores.KEY_STATS).forEach(({ id, data }) => {
+      if (id.startsWith(DAY_PREFIX)) {
+        this.daily[id.slice(DAY_PREFIX.length)] = data;
+      } else if (this.tables[id]) {
+        this.tables[id] = data;
+      }
+    });
+
+    this.session = {};
+    this._changedDays.clear();
+    this._lastKeystroke = null;
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.TYPING_INPUT, (payload) => {
+      this.record(payload);
+    });
+
+    // Deleting breaks the chain - the next key is not a clean transition
+    eventBus.on(Events.TYPING_CORRECTION, () => {
+      this._lastKeystroke = null;
+    });
+
+    eventBus.on(Events.TYPING_RESET, () => {
+      this._lastKeystroke = null;
+    });
+
+    eventBus.on(Events.TYPING_COMPLETE, () => {
+      this.save();
+    });
+  }
+
+  /**
+   * Record one typed character
+   * @param {Object} payload - TYPING_INPUT payload
+   */
+  record({ char, expected, previous = '', position, keystroke }) {
+    if (!keystroke || keystroke.pasted || !expected) return;
+
+    const now = Date.now();
+    const last = this._lastKeystroke;
+    this._lastKeystroke = keystroke;
+
+    // Latency only counts when coming straight from a correct previous key
+    const isChained = last && last.isCorrect && last.position === position - 1;
+    const latency = isChained && keystroke.interval > 0 && keystroke.interval <= this.config.maxLatency
+      ? keystroke.interval
+      : null;
+
+    // TypingEngine already judged it (lenient matching included)
+    const missed = !keystroke.isCorrect;
+
+    this._update(this.tables.chars, expected, { missed, typed: char, latency, now });
+
+    const day = dayKey(now);
+    this.daily[day] = this.daily[day] || {};
+    this._changedDays.add(day);
+    addToBucket(this.daily[day], expected, { missed, typed: char, latency });
+    addToBucket(this.session, expected, { missed, typed: char, latency });
+
+    if (previous.length >= 1) {
+      const bigram = previous.slice(-1) + expected;
+      this._update(this.tables.bigrams, bigram, { missed, typed: char, latency, now });
+    }
+
+    if (previous.length >= 2) {
+      this._update(this.tables.trigrams, previous + expected, { missed, typed: char, latency, now });
+    }
+  }
+
+  /**
+   * Update a single entry
+   * @private
+   */
+  _update(table, key, { missed, typed, latency, now }) {
+    const entry = table[key] || {
+      attempts: 0,
+      misses: 0,
+      confusions: {},
+      latencies: [],
+      updatedAt: now
+    };
+
+    const factor = this._decayFactor(entry, now);
+    entry.attempts = entry.attempts * factor + 1;
+    entry.misses = entry.misses * factor + (missed ? 1 : 0);
+
+    if (missed) {
+      Object.keys(entry.confusions).forEach(other => {
+        entry.confusions[other] *= factor;
+      });
+      entry.confusions[typed] = (entry.confusions[typed] || 0) + 1;
+    }
+
+    if (latency !== null) {
+      entry.latencies.push(Math.round(latency));
+      if (entry.latencies.length > this.config.maxSamples) {
+        entry.latencies.shift();
+      }
+    }
+
+    entry.updatedAt = now;
+    table[key] = entry;
+  }
+
+  /**
+   * Weight multiplier for data last updated at entry.updatedAt
+   * @private
+   */
+  _decayFactor(entry, now = Date.now()) {
+    const age = Math.max(0, now - entry.updatedAt);
+    return Math.pow(0.5, age / this.config.halfLife);
+  }
+
+  /**
+   * Build a read-only summary of an entry
+   * @private
+   */
+  _summarize(key, entry, now = Date.now()) {
+    const factor = this._decayFactor(entry, now);
+    const attempts = entry.attempts * factor;
+    const misses = entry.misses * factor;
+    const sorted = [...entry.latencies].sort((a, b) => a - b);
+
+    return {
+      key,
+      attempts,
+      misses,
+      errorRate: attempts > 0 ? misses / attempts : 0,
+      medianLatency: percentile(sorted, 50),
+      p90Latency: percentile(sorted, 90),
+      latencySamples: sorted.length,
+      confusions: Object.entries(entry.confusions)
+        .map(([char, count]) => ({ char, count: count * factor }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+
+  /**
+   * Rank entries of a table
+   * @private
+   * @param {Object} table
+   * @param {Function} score - summary => number (higher ranks first), or null to skip
+   * @param {number} limit
+   */
+  _rank(table, score, limit) {
+    const now = Date.now();
+
+    return Object.entries(table)
+      .map(([key, entry]) => this._summarize(key, entry, now))
+      .filter(summary => summary.attempts >= this.config.minAttempts)
+      .map(summary => ({ summary, value: score(summary) }))
+      .filter(({ value }) => value !== null)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, limit)
+      .map(({ summary }) => summary);
+  }
+
+  /**
+   * Statistics for one character
+   * @param {string} char
+   * @returns {Object|null}
+   */
+  getCharStats(char) {
+    const entry = this.tables.chars[char];
+    return entry ? this._summarize(char, entry) : null;
+  }
+
+  /**
+   * Statistics for one bigram
+   * @param {string} bigram - Two characters
+   * @returns {Object|null}
+   */
+  getBigramStats(bigram) {
+    const entry = this.tables.bigrams[bigram];
+    return entry ? this._summarize(bigram, entry) : null;
+  }
+
+  /**
+   * Statistics for every character typed so far
+   * @returns {Array<Object>}
+   */
+  getAllCharStats() {
+    const now = Date.now();
+    return Object.entries(this.tables.chars).map(([key, entry]) => this._summarize(key, entry, now));
+  }
+
+  /**
+   * Characters with the highest error rate
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  getWeakestKeys(limit = 5) {
+    return this._rank(this.tables.chars, s => s.errorRate, limit);
+  }
+
+  /**
+   * Characters with the highest median latency
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  getSlowestKeys(limit = 5) {
+    return this._rank(this.tables.chars, s => s.medianLatency, limit);
+  }
+
+  /**
+   * Bigrams with the highest error rate
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  getWeakestBigrams(limit = 5) {
+    return this._rank(this.tables.bigrams, s => s.errorRate, limit);
+  }
+
+  /**
+   * Bigrams with the highest median latency
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  getSlowestBigrams(limit = 5) {
+    return this._rank(this.tables.bigrams, s => s.medianLatency, limit);
+  }
+
+  /**
+   * Trigrams with the highest median latency
+   * @param {number} limit
+   * @returns {Array<Object>}
+   */
+  getSlowestTrigrams(limit = 5) {
+    return this._rank(this.tables.trigrams, s => s.medianLatency, limit);
+  }
+
+  /**
+   * Weakness of every well-sampled character and bigram relative to the
+   * typist's own average. A weight of 1 is average, 2 is twice as weak.
+   * Error rate and latency are blended so slow-but-accurate keys still count.
+   * @param {Object} [options]
+   * @param {number} [options.latencyWeight] - Share of latency in the blend (0-1)
+   * @returns {Object} { chars: {char: weight}, bigrams: {bigram: weight} }
+   */
+  getWeaknessProfile({ latencyWeight = 0.4 } = {}) {
+    const now = Date.now();
+
+    const weigh = (table) => {
+      const summaries = Object.entries(table)
+        .map(([key, entry]) => this._summarize(key, entry, now))
+        .filter(s => s.attempts >= this.config.minAttempts && s.key.trim());
+      if (summaries.length === 0) return {};
+
+      const timed = summaries.filter(s => s.latencySamples > 0);
+      const avgError = summaries.reduce((sum, s) => sum + s.errorRate, 0) / summaries.length;
+      const avgLatency = timed.length > 0
+        ? timed.reduce((sum, s) => sum + s.medianLatency, 0) / timed.length
+        : 0;
+
+      const weights = {};
+      summaries.forEach(s => {
+        // Floor the averages so a near-perfect typist is not ranked on noise
+        const error = s.errorRate / Math.max(avgError, 0.02);
+        const latency = avgLatency > 0 && s.latencySamples > 0 ? s.medianLatency / avgLatency : 1;
+        weights[s.key] = (1 - latencyWeight) * error + latencyWeight * latency;
+      });
+      return weights;
+    };
+
+    return {
+      chars: weigh(this.tables.chars),
+      bigrams: weigh(this.tables.bigrams)
+    };
+  }
+
+  /**
+   * Undecayed per-character totals over a time range
+   * @param {string} range - A StatsRange value
+   * @returns {Object} char -> { attempts, misses, errorRate, avgLatency,
+   *   latencySamples, topConfusion: {char, count}|null }
+   */
+  getCharTotals(range = StatsRange.ALL) {
+    let buckets;
+    if (range === StatsRange.SESSION) {
+      buckets = [this.session];
+    } else {
+      const since = range === StatsRange.WEEK ? dayKey(Date.now() - 6 * DAY) : '';
+      buckets = Object.entries(this.daily)
+        .filter(([day]) => day >= since)
+        .map(([, bucket]) => bucket);
+    }
+
+    const merged = {};
+    buckets.forEach(bucket => {
+      Object.entries(bucket).forEach(([char, counts]) => {
+        const total = merged[char] || { attempts: 0, misses: 0, latencyTotal: 0, latencyCount: 0, confusions: {} };
+        total.attempts += counts.attempts;
+        total.misses += counts.misses;
+        total.latencyTotal += counts.latencyTotal;
+        total.latencyCount += counts.latencyCount;
+        Object.entries(counts.confusions).forEach(([typed, count]) => {
+          total.confusions[typed] = (total.confusions[typed] || 0) + count;
+        });
+        merged[char] = total;
+      });
+    });
+
+    const totals = {};
+    Object.entries(merged).forEach(([char, total]) => {
+      const [topChar, topCount] = Object.entries(total.confusions).sort((a, b) => b[1] - a[1])[0] || [];
+      totals[char] = {
+        attempts: total.attempts,
+        misses: total.misses,
+        errorRate: total.attempts > 0 ? total.misses / total.attempts : 0,
+        avgLatency: total.latencyCount > 0 ? total.latencyTotal / total.latencyCount : null,
+        latencySamples: total.latencyCount,
+        topConfusion: topChar !== undefined ? { char: topChar, count: topCount } : null
+      };
+    });
+    return totals;
+  }
+
+  /**
+   * Persist statistics
+   */
+  save() {
+    this._pruneTrigrams();
+    this._pruneDays();
+
+    Object.entries(this.tables).forEach(([id, data]) => {
+      storageManager.putRecord(Stores.KEY_STATS, { id, data });
+    });
+    this._changedDays.forEach(day => {
+      if (this.daily[day]) {
+        storageManager.putRecord(Stores.KEY_STATS, { id: DAY_PREFIX + day, data: this.daily[day] });
+      }
+    });
+    this._changedDays.clear();
+  }
+
+  /**
+   * Drop daily buckets older than the retention window
+   * @private
+   */
+  _pruneDays() {
+    const oldest = dayKey(Date.now() - (this.config.maxDays - 1) * DAY);
+    Object.keys(this.daily)
+      .filter(day => day < oldest)
+      .forEach(day => {
+        delete this.daily[day];
+        storageManager.deleteRecord(Stores.KEY_STATS, DAY_PREFIX + day);
+      });
+  }
+
+  /**
+   * Drop the least-typed trigrams once there are too many
+   * @private
+   */
+  _pruneTrigrams() {
+    const entries = Object.entries(this.tables.trigrams);
+    if (entries.length <= this.config.maxTrigrams) return;
+
+    const now = Date.now();
+    entries
+      .map(([key, entry]) => ({ key, weight: entry.attempts * this._decayFactor(entry, now) }))
+      .sort((a, b) => a.weight - b.weight)
+      .slice(0, entries.length - this.config.maxTrigrams)
+      .forEach(({ key }) => delete this.tables.trigrams[key]);
+  }
+
+  /**
+   * Forget all statistics
+   */
+  clear() {
+    this.tables = { chars: {}, bigrams: {}, trigrams: {} };
+    this.daily = {};
+    this.session = {};
+    this._lastKeystroke = null;
+    this._changedDays.clear();
+    storageManager.clearRecords(Stores.KEY_STATS);
+  }
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function dayKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add one typed character to a totals bucket
+ * @param {Object} bucket - char -> counts
+ * @param {string} char - Expected character
+ * @param {Object} sample - { missed, typed, latency }
+ */
+function addToBucket(bucket, char, { missed, typed, latency }) {
+  const counts = bucket[char] || { attempts: 0, misses: 0, latencyTotal: 0, latencyCount: 0, confusions: {} };
+  counts.attempts++;
+  if (missed) {
+    counts.misses++;
+    counts.confusions[typed] = (counts.confusions[typed] || 0) + 1;
+  }
+  if (latency !== null) {
+    counts.latencyTotal += Math.round(latency);
+    counts.latencyCount++;
+  }
+  bucket[char] = counts;
+}
+
+// Export singleton instance
+export const keyStatsManager = new KeyStatsManager();
@@ -0,0 +1,288 @@
+/**
+ * LayoutManager Class
+ * Built-in and user-imported keyboard layouts, and the active one
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { layouts, geometries, modifierKeys, fingerMap, defaultHomeKeys, REFERENCE_LAYOUT } from '../data/layouts.js';
+
+const CUSTOM_STORAGE_KEY = 'customLayouts';
+
+export class LayoutManager {
+  constructor() {
+    // id -> compiled layout
+    this.layouts = new Map();
+    this.customLayouts = [];
+    this.activeId = REFERENCE_LAYOUT;
+
+    layouts.forEach(definition => {
+      this.layouts.set(definition.id, this._compile(definition));
+    });
+  }
+
+  /**
+   * Load custom layouts and select the saved layout
+   * @param {string} [activeId] - Layout to activate
+   */
+  init(activeId = REFERENCE_LAYOUT) {
+    // Forget layouts imported by a previous profile
+    this.layouts.forEach((layout, id) => {
+      if (layout.custom) this.layouts.delete(id);
+    });
+
+    this.customLayouts = storageManager.load(CUSTOM_STORAGE_KEY, []);
+    this.customLayouts.forEach(definition => {
+      const layout = this._compile(definition);
+      if (layout) {
+        this.layouts.set(layout.id, layout);
+      }
+    });
+
+    this.activeId = this.layouts.has(activeId) ? activeId : REFERENCE_LAYOUT;
+  }
+
+  /**
+   * Turn a layout definition into lookup tables
+   * @private
+   * @param {Object} definition - See data/layouts.js for the format
+   * @returns {Object|null} Compiled layout, or null if the definition is invalid
+   */
+  _compile(definition) {
+    const geometry = geometries[definition?.geometry];
+    if (!geometry || !Array.isArray(definition.rows) || definition.rows.length !== geometry.length) {
+      return null;
+    }
+
+    const rows = [];
+    for (let r = 0; r < geometry.length; r++) {
+      const tokens = String(definition.rows[r]).trim().split(/\s+/);
+      if (tokens.length !== geometry[r].length) {
+        return null;
+      }
+
+      const modifiers = modifierKeys[r] || { left: [], right: [] };
+      const toKey = (modifier) => ({ ...modifier, base: null, shift: null, altgr: null, modifier: true });
+
+      rows.push([
+        ...modifiers.left.map(toKey),
+        ...tokens.map((token, i) => {
+          const [base, shift = base.toUpperCase(), altgr = null] = Array.from(token);
+          return { code: geometry[r][i], base, shift, altgr };
+        }),
+        ...modifiers.right.map(toKey)
+      ]);
+    }
+    rows.push([{ code: 'Space', base: ' ', shift: ' ', altgr: null }]);
+
+    // char -> where to find it; the first (unshifted) position wins
+    const chars = new Map();
+    rows.flat().forEach(key => {
+      [['base', key.base], ['shift', key.shift], ['altgr', key.altgr]].forEach(([level, char]) => {
+        if (char && !chars.has(char)) {
+          chars.set(char, { code: key.code, level });
+        }
+      });
+    });
+
+    return {
+      id: String(definition.id),
+      name: String(definition.name || definition.id),
+      geometry: definition.geometry,
+      rows,
+      homeKeys: new Set(definition.homeKeys || defaultHomeKeys),
+      modifiers: new Set(rows.flat().filter(key => key.modifier).map(key => key.code)),
+      chars,
+      custom: !layouts.some(builtin => builtin.id === definition.id)
+    };
+  }
+
+  /**
+   * Get a layout by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getLayout(id) {
+    return this.layouts.get(id) || null;
+  }
+
+  /**
+   * Get the active layout
+   * @returns {Object}
+   */
+  getActive() {
+    return this.layouts.get(this.activeId);
+  }
+
+  /**
+   * List all layouts
+   * @returns {Array<Object>} { id, name, custom }
+   */
+  getLayouts() {
+    return [...this.layouts.values()].map(({ id, name, custom }) => ({ id, name, custom }));
+  }
+
+  /**
+   * Switch the active layout
+   * @param {string} id
+   * @returns {boolean} False if no such layout
+   */
+  setActive(id) {
+    if (!this.layouts.has(id)) {
+      console.error('Unknown keyboard layout:', id);
+      return false;
+    }
+    this.activeId = id;
+    eventBus.emit(Events.LAYOUT_CHANGED, { layout: this.getActive() });
+    return true;
+  }
+
+  /**
+   * Find the physical key that produces a character
+   * @param {string} char
+   * @param {Object} [layout] - Defaults to the active layout
+   * @returns {Object|null} { code, level } where level is 'base', 'shift' or 'altgr'
+   */
+  findKey(char, layout = this.getActive()) {
+    return layout.chars.get(char) || null;
+  }
+
+  /**
+   * Every character a layout can type, with or without Shift and AltGr
+   * @param {Object} [layout] - Defaults to the active layout
+   * @returns {Set<string>}
+   */
+  getTypeableChars(layout = this.getActive()) {
+    return new Set(layout.chars.keys());
+  }
+
+  /**
+   * Get the finger that presses a physical key
+   * @param {string} code - KeyboardEvent.code
+   * @returns {Object|null} { hand, finger }
+   */
+  getFinger(code) {
+    for (const hand of ['left', 'right']) {
+      for (const [finger, codes] of Object.entries(fingerMap[hand])) {
+        if (codes.includes(code)) {
+          return { hand, finger };
+        }
+      }
+    }
+
+    if (fingerMap.thumb.includes(code)) {
+      return { hand: 'either', finger: 'thumb' };
+    }
+
+    return null;
+  }
+
+  /**
+   * The Shift key a touch typist uses for a character - the one on the
+   * opposite hand to the key being shifted
+   * @param {string} char
+   * @param {Object} [layout] - Defaults to the active layout
+   * @returns {string|null} 'ShiftLeft', 'ShiftRight', or null if no Shift is needed
+   */
+  getShiftKey(char, layout = this.getActive()) {
+    const position = this.findKey(char, layout);
+    if (position?.level !== 'shift') return null;
+
+    const hand = this.getFinger(position.code)?.hand;
+    if (hand === 'left') return 'ShiftRight';
+    if (hand === 'right') return 'ShiftLeft';
+    return null;
+  }
+
+  /**
+   * Map characters written for the reference layout (US QWERTY) onto the
+   * same physical keys of the active layout, so position-based content
+   * like lessons works on any layout
+   * @param {Array<string>} chars - Reference layout characters
+   * @returns {Array<string>} Characters on the active layout
+   */
+  translate(chars) {
+    const reference = this.getLayout(REFERENCE_LAYOUT);
+    const active = this.getActive();
+    if (active === reference) return chars;
+
+    const byCode = new Map(active.rows.flat().map(key => [key.code, key]));
+    return chars.map(char => {
+      const position = this.findKey(char, reference);
+      const key = position && byCode.get(position.code);
+      return key ? key[position.level] || key.base : char;
+    });
+  }
+
+  /**
+   * Check a custom layout definition
+   * @param {Object} definition - See data/layouts.js for the format
+   * @returns {string|null} What is wrong with it, or null if it can be added
+   */
+  validateLayout(definition) {
+    if (typeof definition?.id !== 'string' || !definition.id.trim() || layouts.some(builtin => builtin.id === definition.id)) {
+      return `Layout needs an id that is not a built-in layout: ${definition?.id}`;
+    }
+
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+      return `Layout name must be text: ${definition.name}`;
+    }
+
+    if (definition.homeKeys !== undefined &&
+        !(Array.isArray(definition.homeKeys) && definition.homeKeys.every(code => typeof code === 'string'))) {
+      return 'Layout home keys must be a list of key codes';
+    }
+
+    if (!Array.isArray(definition.rows) || !definition.rows.every(row => typeof row === 'string') || !this._compile(definition)) {
+      return `Layout rows do not match the ${definition.geometry} geometry`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a layout from a custom layout file
+   * @param {string|Object} source - JSON text or parsed definition
+   * @returns {Object|false} Compiled layout, or false if invalid
+   */
+  importLayout(source) {
+    let definition;
+    try {
+      definition = typeof source === 'string' ? JSON.parse(source) : source;
+    } catch (error) {
+      console.error('Layout file is not valid JSON:', error);
+      return false;
+    }
+
+    const problem = this.validateLayout(definition);
+    if (problem) {
+      console.error(problem);
+      return false;
+    }
+
+    const layout = this._compile(definition);
+    this.customLayouts = this.customLayouts.filter(custom => custom.id !== definition.id);
+    this.customLayouts.push(definition);
+    storageManager.save(CUSTOM_STORAGE_KEY, this.customLayouts);
+    this.layouts.set(layout.id, layout);
+    return layout;
+  }
+
+  /**
+   * Delete a custom layout
+   * @param {string} id
+   */
+  removeLayout(id) {
+    if (!this.getLayout(id)?.custom) return;
+
+    this.customLayouts = this.customLayouts.filter(custom => custom.id !== id);
+    storageManager.save(CUSTOM_STORAGE_KEY, this.customLayouts);
+    this.layouts.delete(id);
+
+    if (this.activeId === id) {
+      this.setActive(REFERENCE_LAYOUT);
+    }
+  }
+}
+
+// Export singleton instance
+export const layoutManager = new LayoutManager();
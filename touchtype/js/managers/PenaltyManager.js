@@ -8,13 +8,25 @@ import { audioManager } from './AudioManager.js';
 export class PenaltyManager {
   constructor() {
     this.penaltyCount = 0;
+    this.xpLost = 0;
     this.isOnCooldown = false;
     this.isEnabled = true;
+
+    // Penalties in the current exercise: [{ time, xpLost }], time in ms
+    // from the first keystroke (0 if it came before typing started)
+    this.penalties = [];
+    this._startedAt = null;
+
+    // Glances only cost XP between the first keystroke and the end of an
+    // exercise - not while reading the text or the results
+    this._isTyping = false;
     
     // Configuration
     this.config = {
       cooldownDuration: 2000,  // ms between penalties
-      xpPenalty: 5,            // XP lost per penalty
+      xpPenalty: 5,            // XP lost for the first penalty in an exercise
+      escalation: 1.5,         // each further penalty costs this much more
+      maxXpPenalty: 40,        // cap on a single penalty
       showFlash: true,
       playSound: true
     };
@@ -42,7 +54,18 @@ export class PenaltyManager {
    */
   _setupEventListeners() {
     eventBus.on(Events.CAMERA_LOOKING_DOWN, () => {
-      this.trigger();
+      if (this._isTyping) {
+        this.trigger();
+      }
+    });
+
+    eventBus.on(Events.TYPING_START, () => {
+      this._startedAt = performance.now();
+      this._isTyping = true;
+    });
+
+    eventBus.on(Events.TYPING_COMPLETE, () => {
+      this._isTyping = false;
     });
 
     eventBus.on(Events.TYPING_RESET, () => {
@@ -71,6 +94,13 @@ export class PenaltyManager {
     this.penaltyCount++;
     this.isOnCooldown = true;
 
+    const xpLost = this.getDeduction(this.penaltyCount);
+    this.xpLost += xpLost;
+    this.penalties.push({
+      time: this._startedAt === null ? 0 : Math.round(performance.now() - this._startedAt),
+      xpLost
+    });
+
     // Visual feedback
     if (this.config.showFlash) {
       this._showPenaltyEffect();
@@ -84,7 +114,8 @@ export class PenaltyManager {
     // Emit event
     eventBus.emit(Events.PENALTY_TRIGGERED, {
       count: this.penaltyCount,
-      xpLost: this.config.xpPenalty
+      xpLost,
+      totalXpLost: this.xpLost
     });
 
     // Start cooldown
@@ -95,6 +126,16 @@ export class PenaltyManager {
     return true;
   }
 
+  /**
+   * XP lost for the nth penalty of an exercise - repeated glances escalate
+   * @param {number} n - 1 for the first penalty
+   * @returns {number}
+   */
+  getDeduction(n) {
+    const { xpPenalty, escalation, maxXpPenalty } = this.config;
+    return Math.min(maxXpPenalty, Math.round(xpPenalty * escalation ** (n - 1)));
+  }
+
   /**
    * Show penalty visual effect
    * @private
@@ -116,6 +157,10 @@ export class PenaltyManager {
    */
   reset() {
     this.penaltyCount = 0;
+    this.xpLost = 0;
+    this.penalties = [];
+    this._startedAt = null;
+    this._isTyping = false;
     this.isOnCooldown = false;
   }
 
@@ -127,6 +172,22 @@ export class PenaltyManager {
     return this.penaltyCount;
   }
 
+  /**
+   * Get the penalties of the current exercise
+   * @returns {Array<Object>} [{ time, xpLost }]
+   */
+  getPenalties() {
+    return this.penalties.map(penalty => ({ ...penalty }));
+  }
+
+  /**
+   * Get XP lost to penalties in the current exercise
+   * @returns {number}
+   */
+  getXPLost() {
+    return this.xpLost;
+  }
+
   /**
    * Enable/disable penalties
    * @param {boolean} enabled
@@ -0,0 +1,205 @@
+/**
+ * ProfileManager Class
+ * Local user profiles. Each profile has its own database, so progress,
+ * settings, history and calibration never mix; the guest profile keeps
+ * everything in memory and is gone once another profile is chosen.
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { StorageManager, storageManager } from './StorageManager.js';
+import { IndexedDBBackend } from '../storage/IndexedDBBackend.js';
+import { MemoryBackend } from '../storage/MemoryBackend.js';
+
+// Database holding the profile list itself
+const REGISTRY_NAMESPACE = 'typevision-profiles';
+
+// The first profile uses the original database, so existing data carries over
+export const DEFAULT_PROFILE_ID = 'default';
+export const GUEST_PROFILE_ID = 'guest';
+
+const GUEST_PROFILE = { id: GUEST_PROFILE_ID, name: 'Guest', guest: true };
+
+const MAX_NAME_LENGTH = 24;
+
+export class ProfileManager {
+  constructor() {
+    this.registry = new StorageManager(REGISTRY_NAMESPACE);
+
+    // [{ id, name, createdAt }]
+    this.profiles = [];
+    this.activeId = null;
+
+    this._createBackend = () => new IndexedDBBackend();
+  }
+
+  /**
+   * Load the profile list and open the last used profile
+   * @param {Object} [options] - { createBackend } to store somewhere other than IndexedDB
+   */
+  async init({ createBackend } = {}) {
+    if (createBackend) {
+      this._createBackend = createBackend;
+    }
+
+    await this.registry.init(this._createBackend());
+    this.profiles = this.registry.load('profiles', null) || [
+      { id: DEFAULT_PROFILE_ID, name: 'Player 1', createdAt: Date.now() }
+    ];
+
+    const lastId = this.registry.load('activeProfileId', DEFAULT_PROFILE_ID);
+    await this.setActive(this.profiles.some(profile => profile.id === lastId) ? lastId : this.profiles[0].id);
+  }
+
+  /**
+   * Get a profile by id (including the guest profile)
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getProfile(id) {
+    if (id === GUEST_PROFILE_ID) return GUEST_PROFILE;
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * List saved profiles (not the guest profile)
+   * @returns {Array<Object>}
+   */
+  getProfiles() {
+    return this.profiles;
+  }
+
+  /**
+   * Get the active profile
+   * @returns {Object}
+   */
+  getActive() {
+    return this.getProfile(this.activeId);
+  }
+
+  /**
+   * Check if nothing is being saved
+   * @returns {boolean}
+   */
+  isGuest() {
+    return this.activeId === GUEST_PROFILE_ID;
+  }
+
+  /**
+   * Switch profile - storage is reopened on the profile's database
+   * Everything that reads storage must reload afterwards (PROFILE_CHANGED)
+   * @param {string} id
+   * @returns {Promise<boolean>} False if there is no such profile
+   */
+  async setActive(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      console.error('Unknown profile:', id);
+      return false;
+    }
+
+    const backend = profile.guest ? new MemoryBackend() : this._createBackend();
+    await storageManager.init(backend, getNamespace(profile));
+    this.activeId = id;
+
+    // Next visit starts in the last saved profile, never as guest
+    if (!profile.guest) {
+      this.registry.save('activeProfileId', id);
+    }
+
+    eventBus.emit(Events.PROFILE_CHANGED, { profile });
+    return true;
+  }
+
+  /**
+   * Add a profile
+   * @param {string} name
+   * @returns {Object|false} The profile, or false if the name is not usable
+   */
+  create(name) {
+    const cleanName = this._validateName(name);
+    if (!cleanName) return false;
+
+    const profile = { id: `profile-${Date.now()}`, name: cleanName, createdAt: Date.now() };
+    this.profiles.push(profile);
+    this._save();
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id
+   * @param {string} name
+   * @returns {boolean} False if the profile or name is not usable
+   */
+  rename(id, name) {
+    const profile = this.profiles.find(p => p.id === id);
+    const cleanName = profile && this._validateName(name, id);
+    if (!cleanName) return false;
+
+    profile.name = cleanName;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Delete a profile and all of its data
+   * The active profile cannot be deleted - switch away first
+   * @param {string} id
+   * @returns {Promise<boolean>} False if the profile cannot be deleted
+   */
+  async remove(id) {
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile || id === this.activeId || this.profiles.length === 1) {
+      console.error('Profile cannot be deleted:', id);
+      return false;
+    }
+
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    this._save();
+    await this._createBackend().destroy(getNamespace(profile));
+    return true;
+  }
+
+  /**
+   * Trim a profile name and check it is usable
+   * @private
+   * @param {string} name
+   * @param {string} [exceptId] - Profile being renamed
+   * @returns {string|null}
+   */
+  _validateName(name, exceptId = null) {
+    const cleanName = String(name ?? '').trim();
+    if (!cleanName || cleanName.length > MAX_NAME_LENGTH) {
+      console.error(`Profile names must be 1-${MAX_NAME_LENGTH} characters`);
+      return null;
+    }
+
+    const taken = this.profiles.some(profile =>
+      profile.id !== exceptId && profile.name.toLowerCase() === cleanName.toLowerCase());
+    if (taken || cleanName.toLowerCase() === GUEST_PROFILE.name.toLowerCase()) {
+      console.error('Profile name already in use:', cleanName);
+      return null;
+    }
+
+    return cleanName;
+  }
+
+  /**
+   * Persist the profile list
+   * @private
+   */
+  _save() {
+    this.registry.save('profiles', this.profiles);
+  }
+}
+
+/**
+ * Database name of a profile
+ * @param {Object} profile
+ * @returns {string}
+ */
+function getNamespace(profile) {
+  return profile.id === DEFAULT_PROFILE_ID ? 'typevision' : `typevision-${profile.id}`;
+}
+
+// Export singleton instance
+export const profileManager = new ProfileManager();
@@ -0,0 +1,189 @@
+/**
+ * ReplayManager Class
+ * Records every completed exercise as a replayable timeline, keeps the
+ * most recent ones and moves them in and out of shareable JSON files
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { penaltyManager } from './PenaltyManager.js';
+import { Stores } from '../storage/schema.js';
+
+// Bump when the stored format changes
+export const REPLAY_VERSION = 1;
+
+/**
+ * Replay format:
+ *   {
+ *     version, id, createdAt, mode, text,
+ *     stats: { wpm, rawWpm, accuracy, errors, timeElapsed },
+ *     keystrokes: [[time, type, position, char, rejected], ...],
+ *     penalties: [time, ...]
+ *   }
+ * Times are ms from the first keystroke, type is 'i' (insert) or 'd'
+ * (delete) and rejected is 1 when the engine refused the character.
+ */
+export class ReplayManager {
+  constructor() {
+    this.replays = [];
+
+    // Configuration
+    this.config = {
+      maxReplays: 20
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Load stored replays
+   */
+  init() {
+    this.replays = storageManager.getRecords(Stores.REPLAYS)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.TYPING_COMPLETE, (stats) => {
+      if (stats.keystrokes?.length > 0) {
+        this.add(this.build(stats));
+      }
+    });
+  }
+
+  /**
+   * Build a replay from a TYPING_COMPLETE payload
+   * @param {Object} stats - Completed exercise (with keystrokes and text)
+   * @returns {Object} Replay
+   */
+  build(stats) {
+    const createdAt = Date.now();
+
+    return {
+      version: REPLAY_VERSION,
+      id: `replay-${createdAt}`,
+      createdAt,
+      mode: stats.mode,
+      text: stats.text,
+      stats: {
+        wpm: stats.wpm,
+        rawWpm: stats.rawWpm,
+        accuracy: stats.accuracy,
+        errors: stats.errors,
+        timeElapsed: stats.timeElapsed
+      },
+      keystrokes: stats.keystrokes.map(k => [
+        Math.round(k.time),
+        k.type === 'insert' ? 'i' : 'd',
+        k.position,
+        k.char,
+        k.rejected ? 1 : 0
+      ]),
+      penalties: penaltyManager.getPenalties().map(penalty => penalty.time)
+    };
+  }
+
+  /**
+   * Store a replay, dropping the oldest beyond the limit
+   * @param {Object} replay
+   */
+  add(replay) {
+    const replays = [replay, ...this.replays.filter(r => r.id !== replay.id)];
+    this.replays = replays.slice(0, this.config.maxReplays);
+
+    storageManager.putRecord(Stores.REPLAYS, replay);
+    replays.slice(this.config.maxReplays).forEach(dropped => {
+      storageManager.deleteRecord(Stores.REPLAYS, dropped.id);
+    });
+  }
+
+  /**
+   * Get a replay by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.replays.find(replay => replay.id === id) || null;
+  }
+
+  /**
+   * Get all stored replays, newest first
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    return this.replays;
+  }
+
+  /**
+   * Delete a replay
+   * @param {string} id
+   */
+  remove(id) {
+    this.replays = this.replays.filter(replay => replay.id !== id);
+    storageManager.deleteRecord(Stores.REPLAYS, id);
+  }
+
+  /**
+   * Serialize a replay for sharing
+   * @param {string} id
+   * @returns {string|null} JSON text
+   */
+  exportReplay(id) {
+    const replay = this.get(id);
+    return replay ? JSON.stringify(replay) : null;
+  }
+
+  /**
+   * Add a replay from a shared file
+   * @param {string} json - JSON text
+   * @returns {Object|false} The replay, or false if the file is not a replay
+   */
+  importReplay(json) {
+    let replay;
+    try {
+      replay = JSON.parse(json);
+    } catch (error) {
+      console.error('Replay file is not valid JSON:', error);
+      return false;
+    }
+
+    const isValid = replay?.version === REPLAY_VERSION &&
+      typeof replay.id === 'string' &&
+      Number.isFinite(replay.createdAt) &&
+      typeof replay.mode === 'string' &&
+      typeof replay.text === 'string' &&
+      Number.isFinite(replay.stats?.wpm) &&
+      Array.isArray(replay.keystrokes) &&
+      replay.keystrokes.every(isValidKeystroke) &&
+      (replay.penalties === undefined || (Array.isArray(replay.penalties) && replay.penalties.every(Number.isFinite)));
+    if (!isValid) {
+      console.error('Not a TypeVision replay (version', replay?.version, ')');
+      return false;
+    }
+
+    replay.penalties = replay.penalties || [];
+    this.add(replay);
+    return replay;
+  }
+}
+
+/**
+ * Check a keystroke of the replay format: [time, type, position, char, rejected]
+ * @param {any} keystroke
+ * @returns {boolean}
+ */
+function isValidKeystroke(keystroke) {
+  if (!Array.isArray(keystroke) || keystroke.length < 4) return false;
+
+  const [time, type, position, char] = keystroke;
+  return Number.isFinite(time) &&
+    (type === 'i' || type === 'd') &&
+    Number.isInteger(position) && position >= 0 &&
+    typeof char === 'string';
+}
+
+// Export singleton instance
+export const replayManager = new ReplayManager();
@@ -1,30 +1,107 @@
 /**
  * StorageManager Class
- * Handles all localStorage operations for persistence
+ * Handles all persistence. Data lives in object stores (IndexedDB by
+ * default) and is cached in memory at startup, so reads stay synchronous;
+ * writes update the cache and are queued to the backend in order.
  */
+import { IndexedDBBackend } from '../storage/IndexedDBBackend.js';
+import { MemoryBackend } from '../storage/MemoryBackend.js';
+import { Stores, getRecordKey } from '../storage/schema.js';
+
+// Stores whose records are kept in memory for synchronous reads
+const CACHED_STORES = [Stores.SESSIONS, Stores.KEY_STATS, Stores.REPLAYS, Stores.TEXTS];
+
 export class StorageManager {
   constructor(namespace = 'typevision') {
     this.namespace = namespace;
+    this.backend = null;
+
+    // key -> value, mirroring the settings store
+    this.values = new Map();
+
+    // storeName -> Map(key -> record) for the cached stores
+    this.records = new Map(CACHED_STORES.map(storeName => [storeName, new Map()]));
+
+    // Backend writes run one after another, in the order they were made
+    this._writes = Promise.resolve();
+
+    // Keeps ids unique for sessions stored in the same millisecond
+    this._sessionSequence = 0;
+  }
+
+  /**
+   * Open the backend and load the cache - call before anything else
+   * Calling it again switches to another database (e.g. another profile)
+   * Falls back to memory (nothing is saved) if IndexedDB cannot be opened
+   * @param {Object} [backend] - Storage backend, IndexedDB by default
+   * @param {string} [namespace] - Database name
+   * @returns {Promise<boolean>} False if the fallback was used
+   */
+  async init(backend = new IndexedDBBackend(), namespace = this.namespace) {
+    // Finish writing to the database being left
+    if (this.backend) {
+      await this._writes;
+      this.backend.close();
+    }
+
+    let persistent = true;
+    this.namespace = namespace;
+    this.backend = backend;
+    this.values = new Map();
+    this.records.forEach(records => records.clear());
+
+    try {
+      await this.backend.open(this.namespace);
+    } catch (error) {
+      console.error('StorageManager: Could not open storage, progress will not be saved', error);
+      persistent = false;
+      this.backend = new MemoryBackend();
+      await this.backend.open(this.namespace);
+    }
+
+    const settings = await this.backend.getAll(Stores.SETTINGS);
+    this.values = new Map(settings.map(({ key, value }) => [key, value]));
+
+    for (const storeName of CACHED_STORES) {
+      const records = await this.backend.getAll(storeName);
+      this.records.set(storeName, new Map(records.map(record => [getRecordKey(storeName, record), record])));
+    }
+
+    return persistent;
   }
 
   /**
-   * Generate namespaced key
+   * Queue a backend write
    * @private
+   * @param {Function} write - Called with the backend, returns a promise
+   */
+  _write(write) {
+    if (!this.backend) return;
+
+    this._writes = this._writes
+      .then(() => write(this.backend))
+      .catch(error => console.error('StorageManager: Write failed', error));
+  }
+
+  /**
+   * Wait for queued writes to reach the backend
+   * @returns {Promise}
    */
-  _getKey(key) {
-    return `${this.namespace}_${key}`;
+  flush() {
+    return this._writes;
   }
 
   /**
-   * Save data to localStorage
+   * Save a value
    * @param {string} key - Storage key
-   * @param {any} data - Data to store (will be JSON stringified)
+   * @param {any} data - Data to store (must be structured-cloneable)
    * @returns {boolean} Success status
    */
   save(key, data) {
     try {
-      const serialized = JSON.stringify(data);
-      localStorage.setItem(this._getKey(key), serialized);
+      const value = structuredClone(data);
+      this.values.set(key, value);
+      this._write(backend => backend.put(Stores.SETTINGS, { key, value }));
       return true;
     } catch (error) {
       console.error(`StorageManager: Error saving "${key}"`, error);
@@ -33,35 +110,41 @@ export class StorageManager {
   }
 
   /**
-   * Load data from localStorage
+   * Load a value
    * @param {string} key - Storage key
    * @param {any} defaultValue - Default if key doesn't exist
-   * @returns {any} Parsed data or default value
+   * @returns {any} Stored data or default value
    */
   load(key, defaultValue = null) {
-    try {
-      const serialized = localStorage.getItem(this._getKey(key));
-      if (serialized === null) return defaultValue;
-      return JSON.parse(serialized);
-    } catch (error) {
-      console.error(`StorageManager: Error loading "${key}"`, error);
-      return defaultValue;
-    }
+    if (!this.values.has(key)) return defaultValue;
+    return structuredClone(this.values.get(key));
   }
 
   /**
-   * Remove data from localStorage
+   * Remove a value
    * @param {string} key - Storage key
    * @returns {boolean} Success status
    */
   remove(key) {
-    try {
-      localStorage.removeItem(this._getKey(key));
-      return true;
-    } catch (error) {
-      console.error(`StorageManager: Error removing "${key}"`, error);
-      return false;
-    }
+    this.values.delete(key);
+    this._write(backend => backend.delete(Stores.SETTINGS, key));
+    return true;
+  }
+
+  /**
+   * Get every saved value
+   * @returns {Object} key -> value
+   */
+  getValues() {
+    return structuredClone(Object.fromEntries(this.values));
+  }
+
+  /**
+   * Remove every saved value (records in the other stores are kept)
+   */
+  clearValues() {
+    this.values.clear();
+    this._write(backend => backend.clear(Stores.SETTINGS));
   }
 
   /**
@@ -70,21 +153,81 @@ export class StorageManager {
    * @returns {boolean}
    */
   exists(key) {
-    return localStorage.getItem(this._getKey(key)) !== null;
+    return this.values.has(key);
   }
 
   /**
-   * Clear all namespaced data
+   * Clear all stored data
    */
   clear() {
-    const keysToRemove = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.namespace)) {
-        keysToRemove.push(key);
-      }
+    this.values.clear();
+    this.records.forEach(records => records.clear());
+    Object.values(Stores).forEach(storeName => {
+      this._write(backend => backend.clear(storeName));
+    });
+  }
+
+  /**
+   * Get every record in an object store
+   * Only the cached stores (sessions, keyStats, replays) can be read this way
+   * @param {string} storeName - One of Stores
+   * @returns {Array<Object>}
+   */
+  getRecords(storeName) {
+    const records = this.records.get(storeName);
+    if (!records) {
+      console.error(`StorageManager: "${storeName}" is not cached, use getRecord()`);
+      return [];
     }
-    keysToRemove.forEach(key => localStorage.removeItem(key));
+    return [...records.values()].map(record => structuredClone(record));
+  }
+
+  /**
+   * Read one record straight from the backend
+   * @param {string} storeName - One of Stores
+   * @param {string} key
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(storeName, key) {
+    await this._writes;
+    return (await this.backend?.get(storeName, key)) || null;
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName - One of Stores
+   * @param {Object} record
+   * @returns {boolean} Success status
+   */
+  putRecord(storeName, record) {
+    try {
+      const copy = structuredClone(record);
+      this.records.get(storeName)?.set(getRecordKey(storeName, copy), copy);
+      this._write(backend => backend.put(storeName, copy));
+      return true;
+    } catch (error) {
+      console.error(`StorageManager: Error saving record to "${storeName}"`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a record
+   * @param {string} storeName - One of Stores
+   * @param {string} key
+   */
+  deleteRecord(storeName, key) {
+    this.records.get(storeName)?.delete(key);
+    this._write(backend => backend.delete(storeName, key));
+  }
+
+  /**
+   * Delete every record in a store
+   * @param {string} storeName - One of Stores
+   */
+  clearRecords(storeName) {
+    this.records.get(storeName)?.clear();
+    this._write(backend => backend.clear(storeName));
   }
 
   /**
@@ -99,6 +242,7 @@ export class StorageManager {
       bestWPM: progress.bestWPM,
       streak: progress.streak,
       achievements: progress.achievements,
+      personalBests: progress.personalBests || {},
       lastPlayed: new Date().toISOString()
     });
   }
@@ -129,29 +273,45 @@ export class StorageManager {
 
   /**
    * Add session to history
-   * @param {Object} session - Session data
+   * Every session is kept - the dashboard plots the full history
+   * @param {Object} session - { mode, duration, wpm, rawWpm, accuracy, errors, penalties,
+   *   glances, cameraEnabled } - glances (see GlanceLogManager) is null without the camera
+   * @param {Array<Object>} [keystrokes] - The session's keystroke log
+   * @returns {Object} The stored session, with its id and timestamp
    */
-  addSessionToHistory(session) {
-    const history = this.load('history', []);
-    history.unshift({
+  addSessionToHistory(session, keystrokes = null) {
+    const record = {
       ...session,
+      id: `session-${Date.now()}-${this._sessionSequence++}`,
       timestamp: new Date().toISOString()
-    });
-    // Keep only last 50 sessions
-    if (history.length > 50) {
-      history.pop();
+    };
+    this.putRecord(Stores.SESSIONS, record);
+
+    if (keystrokes) {
+      this.putRecord(Stores.KEYSTROKES, { sessionId: record.id, keystrokes });
     }
-    this.save('history', history);
+    return record;
   }
 
   /**
-   * Get session history
-   * @param {number} limit - Max sessions to return
+   * Get session history, newest first
+   * @param {number} [limit] - Max sessions to return (all by default)
    * @returns {Array}
    */
-  getHistory(limit = 10) {
-    const history = this.load('history', []);
-    return history.slice(0, limit);
+  getHistory(limit = Infinity) {
+    return this.getRecords(Stores.SESSIONS)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id, undefined, { numeric: true }))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the keystroke log of a session
+   * @param {string} sessionId
+   * @returns {Promise<Array<Object>|null>}
+   */
+  async getSessionKeystrokes(sessionId) {
+    const record = await this.getRecord(Stores.KEYSTROKES, sessionId);
+    return record?.keystrokes || null;
   }
 
   /**
@@ -0,0 +1,244 @@
+/**
+ * TextLibraryManager Class
+ * The user's own texts - pasted or loaded from .txt/.md files, cleaned
+ * up, cut into exercise-sized parts and kept as named collections that
+ * remember how far the user got, so a long text resumes where it stopped
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { storageManager } from './StorageManager.js';
+import { Stores } from '../storage/schema.js';
+import { textNormalizer } from '../utils/TextNormalizer.js';
+
+const STORAGE_KEY = 'textLibrary';
+
+// Typing mode that practises the selected collection
+export const LIBRARY_MODE = 'library';
+
+// Parts aim for this many characters, ending at a sentence where possible
+const PART_LENGTH = 300;
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Collection records (texts store):
+ *   { id, name, source, createdAt, parts: [string], position, completedAt }
+ * position is the index of the next part to type; completedAt is set
+ * once the last part has been typed (the collection then starts over)
+ */
+export class TextLibraryManager {
+  constructor() {
+    this.activeId = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Load the selected collection
+   */
+  init() {
+    const saved = storageManager.load(STORAGE_KEY, null);
+    this.activeId = this.get(saved?.activeId) ? saved.activeId : null;
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.TYPING_COMPLETE, (stats) => {
+      if (stats.mode === LIBRARY_MODE && !stats.pasted) {
+        this._advance(stats.text);
+      }
+    });
+  }
+
+  /**
+   * Get a collection by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.getCollections().find(collection => collection.id === id) || null;
+  }
+
+  /**
+   * List collections, oldest first
+   * @returns {Array<Object>}
+   */
+  getCollections() {
+    return storageManager.getRecords(Stores.TEXTS).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Get the collection practised in library mode
+   * Falls back to the first collection
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this.get(this.activeId) || this.getCollections()[0] || null;
+  }
+
+  /**
+   * Select the collection to practise
+   * @param {string} id
+   * @returns {boolean} False if there is no such collection
+   */
+  setActive(id) {
+    if (!this.get(id)) {
+      console.error('Unknown text collection:', id);
+      return false;
+    }
+
+    this.activeId = id;
+    storageManager.save(STORAGE_KEY, { activeId: id });
+    return true;
+  }
+
+  /**
+   * Add a collection
+   * @param {string} name
+   * @param {string} text - Raw text; Markdown is reduced to its words
+   * @param {Object} [options]
+   * @param {string} [options.source] - File name it came from
+   * @returns {Object|false} The collection, or false if nothing typeable is left
+   */
+  create(name, text, { source = null } = {}) {
+    const cleanName = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) || source || 'Untitled';
+    const raw = /\.(md|markdown)$/i.test(source || '') ? stripMarkdown(text) : text;
+    const parts = splitIntoParts(raw);
+    if (parts.length === 0) {
+      console.error('Text has nothing that can be typed');
+      return false;
+    }
+
+    const collection = {
+      id: `text-${Date.now()}`,
+      name: cleanName,
+      source,
+      createdAt: Date.now(),
+      parts,
+      position: 0,
+      completedAt: null
+    };
+    storageManager.putRecord(Stores.TEXTS, collection);
+    return collection;
+  }
+
+  /**
+   * Delete a collection
+   * @param {string} id
+   */
+  remove(id) {
+    storageManager.deleteRecord(Stores.TEXTS, id);
+    if (this.activeId === id) {
+      this.activeId = null;
+      storageManager.remove(STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Go back to the first part
+   * @param {string} id
+   */
+  restart(id) {
+    const collection = this.get(id);
+    if (!collection) return;
+
+    collection.position = 0;
+    storageManager.putRecord(Stores.TEXTS, collection);
+  }
+
+  /**
+   * Get the next part to type
+   * @param {Object} [collection] - Defaults to the active collection
+   * @returns {string|null}
+   */
+  getCurrentPart(collection = this.getActive()) {
+    return collection ? collection.parts[collection.position] : null;
+  }
+
+  /**
+   * How far through a collection the user is
+   * @param {Object} collection
+   * @returns {Object} { part, total, percent } - part is 1-based
+   */
+  getProgress(collection) {
+    const total = collection.parts.length;
+    return {
+      part: collection.position + 1,
+      total,
+      percent: Math.round((collection.position / total) * 100)
+    };
+  }
+
+  /**
+   * Move past a finished part
+   * Retyping an earlier part (a retry) does not move the position
+   * @private
+   * @param {string} text - Text of the finished exercise
+   */
+  _advance(text) {
+    // Parts are normalized again when typed, in case the rules changed
+    const collection = this.getActive();
+    if (!collection || textNormalizer.normalize(collection.parts[collection.position]) !== text) return;
+
+    collection.position++;
+    if (collection.position >= collection.parts.length) {
+      collection.position = 0;
+      collection.completedAt = Date.now();
+    }
+    storageManager.putRecord(Stores.TEXTS, collection);
+  }
+}
+
+/**
+ * Normalize a text and cut it into parts of about PART_LENGTH characters,
+ * breaking after a sentence, or between words when a sentence is too long
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitIntoParts(text) {
+  const sentences = textNormalizer.normalize(text).match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [];
+  const parts = [];
+  let current = '';
+
+  const push = (piece) => {
+    if (current && (current + piece).trim().length > PART_LENGTH) {
+      parts.push(current.trim());
+      current = '';
+    }
+    current += piece;
+  };
+
+  sentences.forEach(sentence => {
+    if (sentence.trim().length <= PART_LENGTH) {
+      push(sentence);
+      return;
+    }
+    sentence.split(/(?<= )/).forEach(push);
+  });
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Reduce Markdown to its text - headings, emphasis, links, images,
+ * code fences, block quotes and list markers
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+  return String(text ?? '')
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2');
+}
+
+// Export singleton instance
+export const textLibraryManager = new TextLibraryManager();
@@ -0,0 +1,248 @@
+/**
+ * TrackingManager Class
+ * Runs the chosen look-down tracker behind one interface - head pose
+ * (CameraManager, MediaPipe), eye gaze (GazeManager, WebGazer) or both.
+ * The backends emit the same events:
+ *   CAMERA_ENABLED / CAMERA_DISABLED
+ *   CAMERA_PITCH_UPDATE { pitch, level, threshold, confidence, source }
+ * pitch and threshold are in the backend's unit (degrees of head pitch,
+ * or gaze height in % of the viewport), level is pitch scaled so the
+ * look-down threshold is 1, confidence (0-1) how reliable the reading
+ * is and source the TrackerType that sent it. Head pose adds yaw and
+ * roll (degrees), and reports turning to the side on its own:
+ *   CAMERA_LOOKING_ASIDE { yaw, direction } / CAMERA_LOOKING_BACK { yaw }
+ * Their readings go through GlanceFusion, which alone decides glances:
+ *   CAMERA_LOOKING_DOWN { since, confidence, reason, sources }
+ *   CAMERA_LOOKING_UP { since, duration }
+ */
+import { eventBus, Events } from '../core/EventEmitter.js';
+import { cameraManager } from './CameraManager.js';
+import { gazeManager } from './GazeManager.js';
+import { GlanceFusion } from '../utils/GlanceFusion.js';
+
+export const TrackerType = {
+  HEAD: 'head',
+  GAZE: 'gaze',
+  HYBRID: 'hybrid',   // head pose and gaze together
+  OFF: 'off'
+};
+
+export class TrackingManager {
+  constructor() {
+    this.type = TrackerType.HEAD;
+    this.isLookingDown = false;
+    this.fusion = new GlanceFusion();
+
+    // Camera preview (the backends show the same webcam)
+    this.video = null;
+    this.canvas = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on(Events.CAMERA_PITCH_UPDATE, ({ source, level, confidence }) => {
+      this._onSample({ time: performance.now(), source, level, confidence });
+    });
+  }
+
+  /**
+   * Initialize with DOM elements
+   * @param {HTMLVideoElement} video - Video element
+   * @param {HTMLCanvasElement} canvas - Canvas for overlay
+   */
+  init(video, canvas) {
+    this.video = video;
+    this.canvas = canvas;
+    cameraManager.init(video, canvas);
+  }
+
+  /**
+   * Choose the tracker - a running tracker of another type is stopped
+   * @param {string} type - TrackerType
+   * @returns {boolean} False for an unknown type
+   */
+  setType(type) {
+    if (!Object.values(TrackerType).includes(type)) {
+      console.error('Unknown tracker:', type);
+      return false;
+    }
+
+    if (type !== this.type) {
+      this.disable();
+      this.type = type;
+    }
+    return true;
+  }
+
+  /**
+   * Check if a tracker is running
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return cameraManager.isEnabled || gazeManager.isEnabled;
+  }
+
+  /**
+   * Check if the chosen tracker follows the eyes
+   * @returns {boolean}
+   */
+  usesGaze() {
+    return this.type === TrackerType.GAZE || this.type === TrackerType.HYBRID;
+  }
+
+  /**
+   * Start the chosen tracker (asks for camera access)
+   * @returns {Promise<boolean>} Success status
+   */
+  async enable() {
+    switch (this.type) {
+      case TrackerType.HEAD:
+        return cameraManager.enable();
+      case TrackerType.GAZE: {
+        const started = await gazeManager.start();
+        if (started) {
+          this._showGazeVideo();
+        }
+        return started;
+      }
+      case TrackerType.HYBRID: {
+        // Both or neither - half a hybrid is a different tracker
+        const started = await cameraManager.enable() && await gazeManager.start();
+        if (!started) {
+          this.disable();
+        }
+        return started;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Stop whichever tracker is running
+   */
+  disable() {
+    this.fusion.reset();
+    this.isLookingDown = false;
+
+    if (cameraManager.isEnabled) {
+      cameraManager.disable();
+    }
+    if (gazeManager.isEnabled) {
+      gazeManager.stop();
+      if (this.video) {
+        this.video.srcObject = null;
+      }
+    }
+
+    // Leave no face points from the last frame behind
+    if (this.canvas) {
+      this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  /**
+   * Check if the chosen tracker can be calibrated
+   * @returns {boolean}
+   */
+  canCalibrate() {
+    return this.type !== TrackerType.OFF;
+  }
+
+  /**
+   * Check if the chosen tracker cannot work until it is calibrated
+   * @returns {boolean}
+   */
+  needsCalibration() {
+    return this.usesGaze() && !gazeManager.isCalibrated;
+  }
+
+  /**
+   * Calibrate the running tracker - head pose first, then gaze
+   * @param {Object} handlers
+   * @param {Function} [handlers.onStep] - See CameraManager.calibrate
+   * @param {Function} [handlers.onPoint] - See GazeManager.startCalibration
+   * @returns {Promise<Object>} { calibrated, error } - error explains a
+   *   failure the user can fix; neither is set when it was cancelled
+   */
+  async calibrate({ onStep, onPoint } = {}) {
+    if (!this.canCalibrate() || !this.isEnabled()) {
+      return { calibrated: false, error: null };
+    }
+
+    if (this.type !== TrackerType.GAZE) {
+      const result = await cameraManager.calibrate(onStep);
+      if (!result.calibrated || !this.usesGaze()) return result;
+    }
+    return { calibrated: await gazeManager.startCalibration(onPoint), error: null };
+  }
+
+  /**
+   * Stop a running calibration
+   */
+  cancelCalibration() {
+    cameraManager.cancelCalibration();
+    gazeManager.cancelCalibration();
+  }
+
+  /**
+   * Tracker whose readings the pitch indicator shows
+   * @returns {string} TrackerType
+   */
+  getDisplaySource() {
+    // Head pitch is the steadier of the two
+    return this.type === TrackerType.HYBRID ? TrackerType.HEAD : this.type;
+  }
+
+  /**
+   * Get current state
+   * @returns {Object} { type, isEnabled, isCalibrated, isLookingDown, isLookingAside }
+   */
+  getState() {
+    return {
+      type: this.type,
+      isEnabled: this.isEnabled(),
+      isCalibrated: (this.type === TrackerType.GAZE || cameraManager.calibration !== null) &&
+        (!this.usesGaze() || gazeManager.isCalibrated),
+      isLookingDown: this.isLookingDown,
+      isLookingAside: cameraManager.isLookingAside
+    };
+  }
+
+  /**
+   * Feed a tracker reading to the fusion and announce glances
+   * @private
+   * @param {Object} sample - { time, source, level, confidence }
+   */
+  _onSample(sample) {
+    const change = this.fusion.update(sample);
+    if (!change) return;
+
+    this.isLookingDown = change.type === 'down';
+    if (this.isLookingDown) {
+      const { since, confidence, reason, sources } = change;
+      eventBus.emit(Events.CAMERA_LOOKING_DOWN, { since, confidence, reason, sources });
+    } else {
+      eventBus.emit(Events.CAMERA_LOOKING_UP, { since: change.since, duration: change.duration });
+    }
+  }
+
+  /**
+   * Show WebGazer's camera feed in the preview
+   * @private
+   */
+  _showGazeVideo() {
+    const feed = gazeManager.getVideoElement();
+    if (this.video && feed?.srcObject) {
+      this.video.srcObject = feed.srcObject;
+    }
+  }
+}
+
+// Export singleton instance
+export const trackingManager = new TrackingManager();
@@ -0,0 +1,131 @@
+/**
+ * IndexedDBBackend Class
+ * Object stores in the browser's IndexedDB, upgraded with the schema
+ * migrations when the database is opened
+ */
+import { runMigrations, SCHEMA_VERSION } from './schema.js';
+
+export class IndexedDBBackend {
+  /**
+   * @param {IDBFactory} [factory] - Defaults to the browser's indexedDB
+   */
+  constructor(factory = globalThis.indexedDB) {
+    this.factory = factory;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, running any pending migrations
+   * @param {string} name - Database name, also the legacy localStorage namespace
+   */
+  open(name) {
+    return new Promise((resolve, reject) => {
+      if (!this.factory) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = this.factory.open(name, SCHEMA_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        const transaction = request.transaction;
+        const db = {
+          createStore: (storeName, { keyPath }) => database.createObjectStore(storeName, { keyPath }),
+          put: (storeName, record) => transaction.objectStore(storeName).put(record)
+        };
+        runMigrations(db, event.oldVersion, { namespace: name });
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another tab upgraded the schema - let it proceed
+        this.db.onversionchange = () => this.db.close();
+        resolve();
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Delete a database - it must not be open
+   * @param {string} name - Database name
+   */
+  destroy(name) {
+    return new Promise((resolve, reject) => {
+      const request = this.factory.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get every record in a store
+   * @param {string} storeName
+   * @returns {Promise<Array<Object>>}
+   */
+  getAll(storeName) {
+    return this._request(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Get one record
+   * @param {string} storeName
+   * @param {string} key
+   * @returns {Promise<Object|undefined>}
+   */
+  get(storeName, key) {
+    return this._request(storeName, 'readonly', store => store.get(key));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName
+   * @param {Object} record
+   */
+  put(storeName, record) {
+    return this._request(storeName, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Delete a record
+   * @param {string} storeName
+   * @param {string} key
+   */
+  delete(storeName, key) {
+    return this._request(storeName, 'readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Delete every record in a store
+   * @param {string} storeName
+   */
+  clear(storeName) {
+    return this._request(storeName, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Run one request in its own transaction
+   * Resolves with the request's result once the transaction commits
+   * @private
+   */
+  _request(storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
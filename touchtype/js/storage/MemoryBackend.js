@@ -0,0 +1,104 @@
+/**
+ * MemoryBackend Class
+ * Keeps object stores in memory - for tests, and as a fallback when
+ * IndexedDB is unavailable (nothing survives a reload)
+ */
+import { runMigrations, getRecordKey, SCHEMA_VERSION } from './schema.js';
+
+export class MemoryBackend {
+  constructor() {
+    // storeName -> Map(key -> record)
+    this.stores = new Map();
+    this.version = 0;
+  }
+
+  /**
+   * Create or upgrade the stores
+   * @param {string} name - Database name, also the legacy localStorage namespace
+   */
+  async open(name) {
+    const db = {
+      createStore: (storeName) => this.stores.set(storeName, new Map()),
+      put: (storeName, record) => this._put(storeName, record)
+    };
+    runMigrations(db, this.version, { namespace: name });
+    this.version = SCHEMA_VERSION;
+  }
+
+  /**
+   * Nothing to release
+   */
+  close() {}
+
+  /**
+   * Delete the database
+   */
+  async destroy() {
+    this.stores.clear();
+    this.version = 0;
+  }
+
+  /**
+   * Get every record in a store
+   * @param {string} storeName
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll(storeName) {
+    return [...this._getStore(storeName).values()].map(record => structuredClone(record));
+  }
+
+  /**
+   * Get one record
+   * @param {string} storeName
+   * @param {string} key
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(storeName, key) {
+    const record = this._getStore(storeName).get(key);
+    return record === undefined ? undefined : structuredClone(record);
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName
+   * @param {Object} record
+   */
+  async put(storeName, record) {
+    this._put(storeName, record);
+  }
+
+  /**
+   * Delete a record
+   * @param {string} storeName
+   * @param {string} key
+   */
+  async delete(storeName, key) {
+    this._getStore(storeName).delete(key);
+  }
+
+  /**
+   * Delete every record in a store
+   * @param {string} storeName
+   */
+  async clear(storeName) {
+    this._getStore(storeName).clear();
+  }
+
+  /**
+   * @private
+   */
+  _put(storeName, record) {
+    this._getStore(storeName).set(getRecordKey(storeName, record), structuredClone(record));
+  }
+
+  /**
+   * @private
+   */
+  _getStore(storeName) {
+    const store = this.stores.get(storeName);
+    if (!store) {
+      throw new Error(`MemoryBackend: no object store "${storeName}"`);
+    }
+    return store;
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Storage schema and migrations
+ *
+ * Object stores (all keyed by the field in brackets):
+ *   sessions   [id]        one record per finished exercise
+ *   keystrokes [sessionId] { sessionId, keystrokes } for a session
+ *   keyStats   [id]        { id: 'chars' | 'bigrams' | 'trigrams', data }
+ *                          and { id: 'day:YYYY-MM-DD', data } per day
+ *   replays    [id]        recorded exercises (see ReplayManager)
+ *   texts      [id]        imported text collections (see TextLibraryManager)
+ *   settings   [key]       { key, value } for everything else
+ *                          (settings, progress, curriculum, layouts...)
+ *
+ * Each migration upgrades the database by one version. Backends call
+ * runMigrations() with an upgrade context:
+ *   createStore(name, { keyPath })
+ *   put(storeName, record)
+ */
+
+export const Stores = {
+  SESSIONS: 'sessions',
+  KEYSTROKES: 'keystrokes',
+  KEY_STATS: 'keyStats',
+  REPLAYS: 'replays',
+  TEXTS: 'texts',
+  SETTINGS: 'settings'
+};
+
+// keyStats record ids for daily buckets start with this
+export const DAY_PREFIX = 'day:';
+
+const KEY_PATHS = {
+  [Stores.SESSIONS]: 'id',
+  [Stores.KEYSTROKES]: 'sessionId',
+  [Stores.KEY_STATS]: 'id',
+  [Stores.REPLAYS]: 'id',
+  [Stores.TEXTS]: 'id',
+  [Stores.SETTINGS]: 'key'
+};
+
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create object stores',
+    upgrade(db) {
+      [Stores.SESSIONS, Stores.KEYSTROKES, Stores.KEY_STATS, Stores.REPLAYS, Stores.SETTINGS].forEach(name => {
+        db.createStore(name, { keyPath: KEY_PATHS[name] });
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Import data saved to localStorage by earlier versions',
+    upgrade(db, { namespace }) {
+      importLegacyData(db, namespace);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add the text library',
+    upgrade(db) {
+      db.createStore(Stores.TEXTS, { keyPath: KEY_PATHS[Stores.TEXTS] });
+    }
+  }
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Apply every migration newer than the stored version
+ * @param {Object} db - Upgrade context
+ * @param {number} fromVersion - Version the database is at (0 when new)
+ * @param {Object} options - { namespace }
+ */
+export function runMigrations(db, fromVersion, options) {
+  migrations
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => migration.upgrade(db, options));
+}
+
+/**
+ * Get the key of a record in a store
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {string}
+ */
+export function getRecordKey(storeName, record) {
+  return record[KEY_PATHS[storeName]];
+}
+
+/**
+ * Copy `<namespace>_*` localStorage keys into the object stores.
+ * The old keys are left in place as a backup.
+ * @param {Object} db - Upgrade context
+ * @param {string} namespace
+ */
+function importLegacyData(db, namespace) {
+  if (typeof localStorage === 'undefined') return;
+
+  const prefix = `${namespace}_`;
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(prefix)) {
+      keys.push(key.slice(prefix.length));
+    }
+  }
+
+  keys.forEach(key => {
+    let value;
+    try {
+      value = JSON.parse(localStorage.getItem(prefix + key));
+    } catch (error) {
+      console.error(`Skipping unreadable localStorage key "${key}"`, error);
+      return;
+    }
+
+    if (key === 'history' && Array.isArray(value)) {
+      value.forEach((session, i) => {
+        db.put(Stores.SESSIONS, { ...session, id: `session-${Date.parse(session.timestamp) || 0}-${i}` });
+      });
+    } else if (key === 'replays' && Array.isArray(value)) {
+      value.forEach(replay => db.put(Stores.REPLAYS, replay));
+    } else if (key === 'keyStats' && value) {
+      const { daily = {}, ...tables } = value;
+      Object.entries(tables).forEach(([id, data]) => db.put(Stores.KEY_STATS, { id, data }));
+      Object.entries(daily).forEach(([day, data]) => db.put(Stores.KEY_STATS, { id: DAY_PREFIX + day, data }));
+    } else {
+      db.put(Stores.SETTINGS, { key, value });
+    }
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * GlanceFusion Class
+ * Decides when the user is looking down from the trackers' samples.
+ * Each sample is { time, source, level, confidence }: level is 1 at the
+ * tracker's own look-down threshold and confidence (0-1) how far its
+ * reading can be trusted. Fresh samples are averaged by confidence, and
+ * a glance needs the fused level to stay over the threshold for a short
+ * dwell; it ends only once the level falls clearly back (hysteresis).
+ * No timers or events - time comes from the samples - so the same
+ * samples always give the same glances.
+ */
+
+// How each tracker's vote is described
+const REASONS = {
+  head: 'head tilted down',
+  gaze: 'gaze below the screen'
+};
+
+export class GlanceFusion {
+  /**
+   * @param {Object} [config] - Overrides for the configuration below
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      enterLevel: 1,          // fused level that starts a glance
+      exitLevel: 0.8,         // fused level it must fall under to end
+      minDwell: 150,          // ms over enterLevel before it counts
+      releaseDwell: 100,      // ms under exitLevel before it ends
+      minConfidence: 0.5,     // fused confidence needed to declare a glance
+      maxSampleAge: 500,      // ms a tracker's last sample is still used
+      weights: { head: 1, gaze: 1 },  // trust in each tracker at full confidence
+      ...config
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config
+   */
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * Forget all samples and end any glance without reporting it
+   */
+  reset() {
+    // source -> latest sample
+    this.samples = new Map();
+    this.isLookingDown = false;
+    this._glanceStart = null;
+    // When the level last crossed the threshold it is waiting on
+    this._crossedAt = null;
+  }
+
+  /**
+   * Take a sample and report a change of state
+   * @param {Object} sample - { time, source, level, confidence }
+   * @returns {Object|null} null if nothing changed, otherwise
+   *   { type: 'down', time, since, confidence, reason, sources } or
+   *   { type: 'up', time, since, duration }
+   */
+  update(sample) {
+    this.samples.set(sample.source, sample);
+    const fused = this.fuse(sample.time);
+    if (!fused) return null;
+
+    const { enterLevel, exitLevel, minDwell, releaseDwell, minConfidence } = this.config;
+
+    if (!this.isLookingDown) {
+      if (fused.level < enterLevel || fused.confidence < minConfidence) {
+        this._crossedAt = null;
+        return null;
+      }
+      this._crossedAt ??= sample.time;
+      if (sample.time - this._crossedAt < minDwell) return null;
+
+      this.isLookingDown = true;
+      this._glanceStart = this._crossedAt;
+      this._crossedAt = null;
+      return {
+        type: 'down',
+        time: sample.time,
+        since: this._glanceStart,
+        confidence: Math.round(fused.confidence * 100) / 100,
+        reason: fused.sources.map(source => REASONS[source] || source).join(' and '),
+        sources: fused.sources
+      };
+    }
+
+    if (fused.level >= exitLevel) {
+      this._crossedAt = null;
+      return null;
+    }
+    this._crossedAt ??= sample.time;
+    if (sample.time - this._crossedAt < releaseDwell) return null;
+
+    // The glance ended when the level first fell back, not after the dwell
+    const since = this._glanceStart;
+    const end = this._crossedAt;
+    this.isLookingDown = false;
+    this._glanceStart = null;
+    this._crossedAt = null;
+    return { type: 'up', time: sample.time, since, duration: end - since };
+  }
+
+  /**
+   * Combine the trackers' latest samples
+   * confidence is the trusted share of the trackers that agree the user
+   * is looking down, so one unsure tracker cannot overrule a sure one
+   * @param {number} now - Time of the newest sample
+   * @returns {Object|null} { level, confidence, sources }, null without fresh samples
+   */
+  fuse(now) {
+    const fresh = [...this.samples.values()]
+      .filter(sample => now - sample.time <= this.config.maxSampleAge && sample.confidence > 0);
+    if (fresh.length === 0) return null;
+
+    let weightSum = 0;
+    let levelSum = 0;
+    let trustSum = 0;
+    let agreeing = 0;
+    fresh.forEach(({ source, level, confidence }) => {
+      const trust = this.config.weights[source] ?? 1;
+      const weight = trust * confidence;
+      weightSum += weight;
+      levelSum += weight * level;
+      trustSum += trust;
+      if (level >= this.config.enterLevel) agreeing += weight;
+    });
+
+    return {
+      level: weightSum > 0 ? levelSum / weightSum : 0,
+      confidence: trustSum > 0 ? agreeing / trustSum : 0,
+      sources: fresh.filter(sample => sample.level >= this.config.enterLevel).map(sample => sample.source)
+    };
+  }
+}
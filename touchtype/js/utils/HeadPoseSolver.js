@@ -0,0 +1,202 @@
+/**
+ * HeadPoseSolver Class
+ * Estimates the head's rotation (pitch, yaw, roll) from face mesh
+ * landmarks by fitting a canonical 3D face model to them (Horn's
+ * quaternion method for absolute orientation), and smooths it over
+ * frames. Only rotation is used, so leaning towards the camera or
+ * moving in the frame does not read as looking down.
+ */
+
+// Canonical face (mm; x to the image's right, y up, z towards the camera)
+// at the face mesh landmarks that move least with expression
+const FACE_MODEL = [
+  { index: 1, point: [0, 0, 0] },             // nose tip
+  { index: 152, point: [0, -330, -65] },      // chin
+  { index: 33, point: [-225, 170, -135] },    // right eye, outer corner
+  { index: 263, point: [225, 170, -135] },    // left eye, outer corner
+  { index: 61, point: [-150, -150, -125] },   // right mouth corner
+  { index: 291, point: [150, -150, -125] }    // left mouth corner
+];
+
+// Landmark indices of the model, for drawing
+export const POSE_LANDMARKS = FACE_MODEL.map(({ index }) => index);
+
+// Jacobi sweeps for the 4x4 eigenproblem (it converges in a handful)
+const MAX_SWEEPS = 20;
+
+const DEGREES = 180 / Math.PI;
+
+export class HeadPoseSolver {
+  /**
+   * @param {Object} [config] - Overrides for the configuration below
+   */
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      smoothing: 0.5,   // share of each new frame in the pose (1 = no smoothing)
+      ...config
+    };
+
+    // Smoothed { pitch, yaw, roll }, null before the first frame
+    this.pose = null;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config
+   */
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * Forget the smoothed pose (e.g. when the face was lost)
+   */
+  reset() {
+    this.pose = null;
+  }
+
+  /**
+   * Solve a frame and blend it into the smoothed pose
+   * @param {Array<Object>} landmarks - Face mesh landmarks ({ x, y, z } normalized)
+   * @param {Object} frame - { width, height } of the image in pixels
+   * @returns {Object} { pitch, yaw, roll, rotation } - smoothed angles and
+   *   this frame's rotation matrix (see solve)
+   */
+  update(landmarks, frame) {
+    const { rotation, ...angles } = this.solve(landmarks, frame);
+    const share = this.config.smoothing;
+
+    this.pose = this.pose
+      ? Object.fromEntries(Object.entries(angles).map(([axis, angle]) => [axis, this.pose[axis] + (angle - this.pose[axis]) * share]))
+      : angles;
+
+    return { ...this.pose, rotation };
+  }
+
+  /**
+   * Head rotation in one frame
+   * @param {Array<Object>} landmarks - Face mesh landmarks ({ x, y, z } normalized)
+   * @param {Object} frame - { width, height } of the image in pixels
+   * @returns {Object} { pitch, yaw, roll, rotation } - degrees; pitch is
+   *   positive looking down, yaw turning towards the image's right (the
+   *   user's left) and roll tilting anticlockwise in the image. rotation
+   *   is the 3x3 matrix taking the model to the face.
+   */
+  solve(landmarks, { width, height }) {
+    // Face mesh z shares the x scale and grows away from the camera
+    const observed = FACE_MODEL.map(({ index }) => {
+      const { x, y, z } = landmarks[index];
+      return [x * width, -y * height, -z * width];
+    });
+    const rotation = fitRotation(FACE_MODEL.map(({ point }) => point), observed);
+
+    return { ...toEulerAngles(rotation), rotation };
+  }
+}
+
+/**
+ * Rotation that best maps one point set onto another (Horn, 1987)
+ * @param {Array<Array<number>>} from - Model points
+ * @param {Array<Array<number>>} to - Observed points, same order
+ * @returns {Array<Array<number>>} 3x3 rotation matrix
+ */
+function fitRotation(from, to) {
+  const a = centered(from);
+  const b = centered(to);
+
+  // Cross-covariance: s[i][j] = sum of a_i * b_j
+  const s = [0, 1, 2].map(i => [0, 1, 2].map(j => a.reduce((sum, point, k) => sum + point[i] * b[k][j], 0)));
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s;
+
+  // The best rotation is the quaternion of this matrix's largest eigenvalue
+  const [w, x, y, z] = largestEigenvector([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+  ]);
+
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+/**
+ * Points moved so their centroid is the origin
+ * @param {Array<Array<number>>} points
+ * @returns {Array<Array<number>>}
+ */
+function centered(points) {
+  const centroid = [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+  return points.map(point => point.map((value, axis) => value - centroid[axis]));
+}
+
+/**
+ * Eigenvector of a symmetric matrix's largest eigenvalue (cyclic Jacobi)
+ * @param {Array<Array<number>>} matrix - Symmetric
+ * @returns {Array<number>} Unit vector
+ */
+function largestEigenvector(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = a.map((row, i) => row.map((value, j) => (i === j ? 1 : 0)));
+  const scale = a.reduce((sum, row) => sum + row.reduce((rowSum, value) => rowSum + value * value, 0), 0);
+
+  for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal <= scale * 1e-20) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+
+        // Rotate rows and columns p and q so a[p][q] becomes zero
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const [kp, kq] = [a[k][p], a[k][q]];
+          a[k][p] = c * kp - s * kq;
+          a[k][q] = s * kp + c * kq;
+        }
+        for (let k = 0; k < n; k++) {
+          const [pk, qk] = [a[p][k], a[q][k]];
+          a[p][k] = c * pk - s * qk;
+          a[q][k] = s * pk + c * qk;
+        }
+        for (let k = 0; k < n; k++) {
+          const [kp, kq] = [v[k][p], v[k][q]];
+          v[k][p] = c * kp - s * kq;
+          v[k][q] = s * kp + c * kq;
+        }
+      }
+    }
+  }
+
+  let largest = 0;
+  for (let i = 1; i < n; i++) {
+    if (a[i][i] > a[largest][largest]) largest = i;
+  }
+  return v.map(row => row[largest]);
+}
+
+/**
+ * Angles of a rotation applied as roll(yaw(pitch(point)))
+ * @param {Array<Array<number>>} r - 3x3 rotation matrix
+ * @returns {Object} { pitch, yaw, roll } in degrees
+ */
+function toEulerAngles(r) {
+  return {
+    pitch: Math.atan2(r[2][1], r[2][2]) * DEGREES,
+    yaw: Math.asin(Math.max(-1, Math.min(1, -r[2][0]))) * DEGREES,
+    roll: Math.atan2(r[1][0], r[0][0]) * DEGREES
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * ScoreCalculator Class
+ * Works out the XP awarded for an exercise, step by step, so the
+ * breakdown can be shown and stored with the session
+ */
+export class ScoreCalculator {
+  constructor() {
+    // Configuration
+    this.config = {
+      xpPerWPM: 2,          // base XP per net WPM
+      eyesUpBonus: 0.5,     // extra share of the award for no glances with the camera on
+      minAward: 0           // penalties never take an award below this
+    };
+  }
+
+  /**
+   * Calculate the XP for a completed exercise
+   * @param {Object} result - { wpm, accuracy, cameraEnabled, penalties, penaltyXP }
+   *   penaltyXP is the total deduction from PenaltyManager
+   * @returns {Object} { base, accuracyMultiplier, eyesUpBonus, penaltyDeduction, penalties, total }
+   */
+  calculate({ wpm, accuracy, cameraEnabled = false, penalties = 0, penaltyXP = 0 }) {
+    const base = Math.round(wpm * this.config.xpPerWPM);
+    const accuracyMultiplier = Math.max(0, Math.min(1, accuracy / 100));
+    const earned = Math.round(base * accuracyMultiplier);
+
+    const eyesUpBonus = cameraEnabled && penalties === 0
+      ? Math.round(earned * this.config.eyesUpBonus)
+      : 0;
+
+    return {
+      base,
+      accuracyMultiplier,
+      eyesUpBonus,
+      penaltyDeduction: penaltyXP,
+      penalties,
+      total: Math.max(this.config.minAward, earned + eyesUpBonus - penaltyXP)
+    };
+  }
+}
+
+// Export singleton instance
+export const scoreCalculator = new ScoreCalculator();
@@ -2,6 +2,13 @@
  * TextGenerator Class
  * Provides text content for different typing modes
  */
+import { dictionary } from '../data/dictionary.js';
+
+// Adaptive drills only draw plain lowercase words so every target is reachable
+const ADAPTIVE_WORDS = dictionary.filter(word => /^[a-z]+$/.test(word));
+
+// Below this many real words, lessons drill letter groups instead
+const MIN_LESSON_WORDS = 15;
 export class TextGenerator {
   constructor() {
     // Sample texts organized by mode
@@ -83,6 +90,34 @@ export class TextGenerator {
     return texts[Math.floor(Math.random() * texts.length)];
   }
 
+  /**
+   * Get text to continue a running exercise
+   * Word drills get fresh random words instead of the fixed list
+   * @param {string} mode - Typing mode
+   * @returns {string}
+   */
+  getNextText(mode = 'standard') {
+    return mode === 'words' ? this.generateRandomWords(20) : this.getText(mode);
+  }
+
+  /**
+   * Stream text for exercises that grow while being typed
+   * @param {string} mode - Typing mode
+   * @param {Object} [options]
+   * @param {number} [options.wordLimit] - Stop after exactly this many words;
+   *   omit for an endless stream
+   * @yields {string} Next chunk of words
+   */
+  *createStream(mode = 'standard', { wordLimit = null } = {}) {
+    let remaining = wordLimit ?? Infinity;
+
+    while (remaining > 0) {
+      const words = this.getNextText(mode).split(/\s+/).filter(Boolean).slice(0, remaining);
+      remaining -= words.length;
+      yield words.join(' ');
+    }
+  }
+
   /**
    * Get all texts for a mode
    * @param {string} mode
@@ -120,6 +155,149 @@ export class TextGenerator {
     return words.join(' ');
   }
 
+  /**
+   * Generate text that over-represents the typist's weak keys and bigrams
+   * Words are drawn from the dictionary by frequency, boosted for each
+   * occurrence of a target, so the text still reads like common English
+   * @param {Object} profile - From KeyStatsManager.getWeaknessProfile()
+   * @param {number} count - Number of words
+   * @param {Object} [options]
+   * @param {number} [options.maxTargets] - Characters and bigrams to focus on (each)
+   * @param {number} [options.boost] - Extra weight per target occurrence
+   * @returns {Object} { text, targets: { chars, bigrams } } - targets are empty
+   *   until there is enough history to find weaknesses
+   */
+  generateAdaptive(profile, count = 20, { maxTargets = 3, boost = 4 } = {}) {
+    const pickTargets = (weights = {}, pattern) => Object.entries(weights)
+      .filter(([key, weight]) => weight > 1 && pattern.test(key))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTargets);
+
+    const chars = pickTargets(profile?.chars, /^[a-z]$/);
+    const bigrams = pickTargets(profile?.bigrams, /^[a-z]{2}$/);
+    const targets = {
+      chars: chars.map(([key]) => key),
+      bigrams: bigrams.map(([key]) => key)
+    };
+
+    if (chars.length === 0 && bigrams.length === 0) {
+      return { text: this.generateRandomWords(count), targets };
+    }
+
+    const scored = ADAPTIVE_WORDS.map((word, rank) => {
+      let hits = 0;
+      chars.forEach(([char, weight]) => {
+        hits += (word.split(char).length - 1) * weight;
+      });
+      bigrams.forEach(([bigram, weight]) => {
+        hits += (word.split(bigram).length - 1) * weight;
+      });
+      // Frequent words first; targets lift rarer words into contention
+      return { word, score: (1 + boost * hits) / Math.sqrt(rank + 10) };
+    });
+    const total = scored.reduce((sum, { score }) => sum + score, 0);
+
+    const words = [];
+    while (words.length < count) {
+      let roll = Math.random() * total;
+      const pick = scored.find(({ score }) => (roll -= score) <= 0) || scored[scored.length - 1];
+      // Avoid the same word twice in a row
+      if (pick.word !== words[words.length - 1]) {
+        words.push(pick.word);
+      }
+    }
+
+    return { text: words.join(' '), targets };
+  }
+
+  /**
+   * Generate text using only the given keys
+   * Real words are used once enough of the keyboard is unlocked; before
+   * that, letter groups. Digits form numbers and other symbols trail words.
+   * @param {Array<string>} keys - Allowed characters (space is always allowed)
+   * @param {number} count - Number of words
+   * @param {Object} [options]
+   * @param {Array<string>} [options.focus] - Keys to practise more often
+   * @returns {string}
+   */
+  generateFromKeys(keys, count = 20, { focus = [] } = {}) {
+    const allowed = new Set(keys);
+    const focusSet = new Set(focus);
+    const letters = keys.filter(key => /\p{Ll}/u.test(key));
+    const digits = keys.filter(key => /[0-9]/.test(key));
+    const marks = keys.filter(key => !/[\p{Ll}0-9 ]/u.test(key));
+
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+    // Half the picks go to focus keys so new keys get real practice
+    const pickKey = (list) => {
+      const focused = list.filter(key => focusSet.has(key));
+      return focused.length > 0 && Math.random() < 0.5 ? pick(focused) : pick(list);
+    };
+    const chance = (list) => list.some(key => focusSet.has(key)) ? 0.4 : 0.15;
+
+    const realWords = dictionary.filter(word => [...word].every(char => allowed.has(char)));
+    const focusWords = realWords.filter(word => [...word].some(char => focusSet.has(char)));
+
+    const makeWord = () => {
+      if (realWords.length >= MIN_LESSON_WORDS) {
+        return focusWords.length > 0 && Math.random() < 0.5 ? pick(focusWords) : pick(realWords);
+      }
+      const length = 2 + Math.floor(Math.random() * 4);
+      return Array.from({ length }, () => pickKey(letters)).join('');
+    };
+
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      if (digits.length > 0 && Math.random() < chance(digits)) {
+        const length = 1 + Math.floor(Math.random() * 4);
+        words.push(Array.from({ length }, () => pickKey(digits)).join(''));
+        continue;
+      }
+
+      let word = letters.length > 0 ? makeWord() : pick(this.commonWords);
+      if (marks.length > 0 && Math.random() < chance(marks)) {
+        word += pickKey(marks);
+      }
+      words.push(word);
+    }
+
+    return words.join(' ');
+  }
+
+  /**
+   * Generate a drill from target words
+   * Each word appears `repeats` times in shuffled order, never twice in a
+   * row unless there is nothing else to put between the copies.
+   * @param {Array<string>} targets - Words to drill
+   * @param {Object} [options]
+   * @param {number} [options.repeats] - Copies of each word
+   * @returns {string}
+   */
+  generateDrill(targets, { repeats = 3 } = {}) {
+    const remaining = new Map([...new Set(targets.filter(Boolean))].map(word => [word, repeats]));
+    let left = remaining.size * repeats;
+    const words = [];
+
+    while (left > 0) {
+      const previous = words[words.length - 1];
+      let candidates = [...remaining.keys()].filter(word => remaining.get(word) > 0 && word !== previous);
+      // A word holding more than half of what is left must go now
+      const pressing = candidates.filter(word => remaining.get(word) * 2 > left);
+      if (pressing.length > 0) candidates = pressing;
+      if (candidates.length === 0) candidates = [previous];
+
+      // Words with more copies left come up more often
+      let roll = Math.random() * candidates.reduce((sum, word) => sum + remaining.get(word), 0);
+      const word = candidates.find(candidate => (roll -= remaining.get(candidate)) < 0) || candidates[0];
+
+      words.push(word);
+      remaining.set(word, remaining.get(word) - 1);
+      left--;
+    }
+
+    return words.join(' ');
+  }
+
   /**
    * Generate random words
    * @param {number} count - Number of words
@@ -0,0 +1,144 @@
+/**
+ * TextNormalizer Class
+ * Sits between the text sources and TypingEngine so every exercise can
+ * be typed on the active layout - smart punctuation becomes plain ASCII,
+ * accents are folded when the layout has no key for them, whitespace is
+ * collapsed and anything still untypeable is dropped. With lenient
+ * matching, typographic characters stay in the text and the plain key
+ * types them (" for a curly quote, e for é).
+ */
+
+// Punctuation with a plain keyboard equivalent
+const PUNCTUATION_MAP = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '«': '"', '»': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '…': '...'
+};
+
+const PUNCTUATION_PATTERN = new RegExp(`[${Object.keys(PUNCTUATION_MAP).join('')}]`, 'g');
+
+/**
+ * What happens to accented letters
+ */
+export const AccentRule = {
+  AUTO: 'auto',   // Keep those the layout can type, fold the rest
+  FOLD: 'fold',   // Always fold to ASCII (é -> e)
+  KEEP: 'keep'    // Always keep - for dead keys and input methods the layout does not describe
+};
+
+export class TextNormalizer {
+  constructor() {
+    // Configuration
+    this.config = {
+      smartPunctuation: true,   // map curly quotes, dashes and ellipses to ASCII
+      accents: AccentRule.AUTO,
+      lenient: false            // plain keys type the typographic characters left in
+    };
+
+    // Characters the active layout can type; null means printable ASCII
+    this.charset = null;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config - smartPunctuation, accents and/or lenient
+   */
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * Set the characters the active layout can type
+   * @param {Iterable<string>|null} chars - null for printable ASCII
+   */
+  setCharset(chars) {
+    this.charset = chars ? new Set(chars) : null;
+  }
+
+  /**
+   * Check if the layout has a key for a character
+   * @param {string} char
+   * @returns {boolean}
+   */
+  isTypeable(char) {
+    if (char === ' ') return true;
+    return this.charset ? this.charset.has(char) : /^[\x20-\x7E]$/.test(char);
+  }
+
+  /**
+   * Normalize text for typing
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.trim] - Trim the ends (off for text appended to an exercise)
+   * @returns {string} A single line
+   */
+  normalize(text, { trim = true } = {}) {
+    let result = String(text ?? '');
+    if (this.config.smartPunctuation) {
+      result = result.replace(PUNCTUATION_PATTERN, char => PUNCTUATION_MAP[char]);
+    }
+
+    result = Array.from(result.normalize('NFC').replace(/\s/g, ' '), char => this._normalizeChar(char))
+      .join('')
+      .replace(/ {2,}/g, ' ');
+
+    return trim ? result.trim() : result;
+  }
+
+  /**
+   * Check if a typed character counts for the expected one
+   * @param {string} typed
+   * @param {string} expected
+   * @returns {boolean}
+   */
+  matches(typed, expected) {
+    return typed === expected || (this.config.lenient && typed !== undefined && fold(expected) === typed);
+  }
+
+  /**
+   * The character to press for a text character
+   * @param {string} char
+   * @returns {string}
+   */
+  toTypeable(char) {
+    return char && !this.isTypeable(char) && this.config.lenient ? fold(char) : char;
+  }
+
+  /**
+   * Apply the rules to one character
+   * @private
+   * @param {string} char
+   * @returns {string} Replacement (empty to drop it)
+   */
+  _normalizeChar(char) {
+    const folded = fold(char);
+    const foldable = folded !== char && [...folded].every(c => this.isTypeable(c));
+
+    if (this.isTypeable(char)) {
+      return this.config.accents === AccentRule.FOLD && foldable ? folded : char;
+    }
+    if (this.config.accents === AccentRule.KEEP && /\p{M}/u.test(char.normalize('NFD'))) {
+      return char;
+    }
+    if (!foldable) {
+      return '';
+    }
+    // A single plain key can stand in for it, so it may stay as written
+    return this.config.lenient && folded.length === 1 ? char : folded;
+  }
+}
+
+/**
+ * Plain form of a character: ASCII punctuation, or the letter without
+ * accents (ligatures are split too)
+ * @param {string} char
+ * @returns {string}
+ */
+function fold(char) {
+  return PUNCTUATION_MAP[char] ?? char.normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+// Export singleton instance
+export const textNormalizer = new TextNormalizer();
@@ -0,0 +1,17 @@
+/**
+ * HTML helpers for markup built from strings
+ */
+
+/**
+ * Escape text for use in HTML - for user text and for code-mode words,
+ * which contain < and &
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}